@@ -13,12 +13,42 @@
 
 // Import React library (required for JSX transformation in older React versions)
 // Note: In modern React 17+ with proper build tools, this import is often optional
-import React from "react";
+// useState tracks which page is shown
+import React, { useState } from "react";
 
 // Import the SwapCard component from the components directory
 // This demonstrates component composition - App uses SwapCard as a child component
 import SwapCard from "./components/SwapCard";
 
+// Liquidity page (add and remove)
+import Pool from "./components/Pool.jsx";
+
+// Pool explorer page
+import PoolExplorer from "./components/PoolExplorer.jsx";
+
+// Token approvals page
+import ApprovalsManager from "./components/ApprovalsManager.jsx";
+
+// Transaction history page
+import History from "./components/History.jsx";
+
+// Transaction notifications, shown on every page
+import TransactionToasts from "./components/TransactionToasts.jsx";
+
+/**
+ * Pages
+ *
+ * Each entry is a tab in the navigation bar. The selected page is kept in
+ * App state rather than a router, since the app has only a few views.
+ */
+const PAGES = [
+  { id: "swap", label: "Swap" },
+  { id: "pool", label: "Pool" },
+  { id: "explore", label: "Explore" },
+  { id: "approvals", label: "Approvals" },
+  { id: "history", label: "History" },
+];
+
 /**
  * App Functional Component
  * 
@@ -26,13 +56,34 @@ import SwapCard from "./components/SwapCard";
  * Functional components are simpler than class components and use hooks for state management.
  * 
  * Component Features:
- * - Pure presentational component (no state or side effects)
+ * - Holds the selected page and renders a tab bar to switch between pages
  * - Acts as a layout container for the main application
  * - Uses Tailwind CSS for responsive, utility-first styling
  * 
  * @returns {JSX.Element} The rendered JSX for the main application layout
  */
 export default function App() {
+  /**
+   * Selected Page
+   *
+   * One of the PAGES ids; the swap page is shown first.
+   */
+  const [page, setPage] = useState("swap");
+
+  /**
+   * Preselected Pair
+   *
+   * Set when a pair is opened from the explorer, or from the swap page to
+   * create a missing pool. Its key remounts the target page so it starts
+   * from the new pair.
+   */
+  const [preset, setPreset] = useState(null);
+
+  const openPair = (currencyA, currencyB, target) => {
+    setPreset({ key: Date.now(), currencies: [currencyA, currencyB] });
+    setPage(target);
+  };
+
   /**
    * Component Return Statement
    * 
@@ -47,14 +98,30 @@ export default function App() {
      * Tailwind CSS classes explanation:
      * - min-h-screen: Minimum height of 100vh (full viewport height)
      * - bg-slate-300: Light gray background color from Tailwind's color palette
-     * - flex: Display flex container for flexbox layout
-     * - items-center: Align items vertically to center (cross-axis)
-     * - justify-center: Align items horizontally to center (main-axis)
+     * - flex flex-col: Display flex container stacking the tabs above the page
+     * - items-center: Align items horizontally to center (cross-axis)
+     * - justify-center: Align items vertically to center (main-axis)
      * - p-4: Padding of 1rem (16px) on all sides
      * 
      * This creates a full-screen centered layout with consistent spacing.
      */
-    <div className="min-h-screen bg-slate-300 flex items-center justify-center p-4">
+    <div className="min-h-screen bg-slate-300 flex flex-col items-center justify-center p-4">
+      {/* Page Navigation */}
+      <nav className="mb-4 flex space-x-2">
+        {PAGES.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => setPage(id)}
+            className={`px-4 py-1.5 rounded-lg font-medium transition ${
+              page === id ? "bg-white text-gray-900 shadow" : "text-gray-700 hover:bg-slate-200"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </nav>
+
       {/*
         SwapCard Component
         
@@ -65,7 +132,12 @@ export default function App() {
         - Enable component reusability across the application
         - Create clear separation of concerns
       */}
-      <SwapCard />
+      {page === "swap" && <SwapCard key={preset?.key} initialCurrencies={preset?.currencies} onOpenPair={openPair} />}
+      {page === "pool" && <Pool key={preset?.key} initialCurrencies={preset?.currencies} />}
+      {page === "explore" && <PoolExplorer onOpenPair={openPair} />}
+      {page === "approvals" && <ApprovalsManager />}
+      {page === "history" && <History />}
+      <TransactionToasts />
     </div>
   );
 }
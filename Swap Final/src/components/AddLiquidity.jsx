@@ -0,0 +1,471 @@
+/**
+ * AddLiquidity Component
+ *
+ * Deposits two tokens into a Uniswap V2 pool in exchange for LP tokens.
+ * The user types one amount; the other is derived from the pool's reserves so
+ * the deposit matches the current price.
+ *
+ * When the pool doesn't exist yet (or is empty) both amounts are typed freely:
+ * their ratio becomes the pool's initial price. The router creates the pair
+ * through the factory as part of addLiquidity.
+ *
+ * Key React Concepts:
+ * - Derived state: Both amounts are computed from the typed value on render
+ * - usePool to load the pair for the selected tokens
+ * - Reusing TokenSelector, SettingsModal and the approval hook from the swap page
+ *
+ * Key Web3/DeFi Concepts:
+ * - Liquidity provision: Depositing both tokens of a pair at the current ratio
+ * - LP tokens: Minted in proportion to the deposit's share of the pool
+ * - Approvals: The router pulls both ERC-20 tokens, so each needs an allowance
+ * - addLiquidity vs. addLiquidityETH: Native ETH is sent as the call's value
+ * - First LP risk: A mispriced initial ratio is arbitraged away at the first
+ *   provider's expense
+ */
+
+import { useState } from "react";
+
+// Component imports
+import TokenSelector from "./TokenSelector.jsx";
+import ConnectWalletButton from "./ConnectWalletButton.jsx";
+import SettingsModal from "./SettingsModal.jsx";
+
+// Icon for the divider between the two inputs
+import { PlusIcon } from "@heroicons/react/24/outline";
+
+// Wagmi hooks for the account and transactions
+import { useAccount, useWriteContract } from "wagmi";
+
+// Uniswap SDK Core for percentages and prices
+import { Percent, Price } from "@uniswap/sdk-core";
+
+// Shared token and contract constants
+import { DAI, ETHER, ROUTER_ADDRESS } from "../constants/tokens.js";
+
+// Pair loading and liquidity math
+import { PoolStatus, usePool } from "../hooks/usePool.js";
+import { trackPair } from "../utils/positions.js";
+import { forgetMissingPair } from "../utils/pairs.js";
+import { buildAddLiquidityCall, getDependentAmount, getLiquidityPreview } from "../utils/liquidity.js";
+
+// Decimal-aware parsing and formatting of token amounts
+import { formatAmount, parseAmount, toRawAmount } from "../utils/amounts.js";
+
+// Allowance tracking, approval policy and balances
+import { ApprovalState, useApproval } from "../hooks/useApproval.js";
+import { describeApproval, getApprovalAmount, getApprovalPolicy } from "../utils/approvalPolicy.js";
+import { useCurrencyBalance } from "../hooks/useCurrencyBalance.js";
+
+// Transaction manager and history
+import { useTransactions } from "../hooks/useTransactions.js";
+import { wentThrough } from "../utils/transactions.js";
+import { AmountRole, toHistoryAmount, TxType } from "../utils/history.js";
+
+// Settings shared with the swap page
+import { useSettings } from "../hooks/useSettings.js";
+import { getDeadline, getEffectiveSlippage, getSlippageTolerance } from "../utils/settings.js";
+
+// Uniswap V2 router ABI
+import IUniswapV2RouterABI from "@uniswap/v2-periphery/build/IUniswapV2Router02.json";
+
+/**
+ * Pool shares below 0.01% are shown as "<0.01%"
+ */
+const MIN_DISPLAYED_SHARE = new Percent(1, 10000);
+
+/**
+ * AddLiquidity Functional Component
+ *
+ * @param {Object} props - The component props
+ * @param {Currency[]} [props.initialCurrencies] - Pair to start with (defaults to ETH/DAI)
+ * @returns {JSX.Element} The rendered add-liquidity form
+ */
+export default function AddLiquidity({ initialCurrencies = [ETHER, DAI] }) {
+  const { address } = useAccount();
+  const { writeContractAsync } = useWriteContract();
+  const { runTransaction } = useTransactions();
+  const { settings, saveSettings } = useSettings();
+
+  /**
+   * State Variables
+   *
+   * currencies: The two sides of the pair, { A, B }
+   * typedValues / independentField: The amounts the user typed and which side
+   *   was typed last; for existing pools the other side is derived from the reserves
+   * acceptedFirstLpRisk: The user acknowledged setting a new pool's price
+   * submitting: An add-liquidity transaction is in flight
+   */
+  const [currencies, setCurrencies] = useState({ A: initialCurrencies[0], B: initialCurrencies[1] });
+  const [typedValues, setTypedValues] = useState({ A: "", B: "" });
+  const [independentField, setIndependentField] = useState("A");
+  const [acceptedFirstLpRisk, setAcceptedFirstLpRisk] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const dependentField = independentField === "A" ? "B" : "A";
+
+  /**
+   * Pool
+   *
+   * Reserves and LP supply for the selected tokens, reloaded when they change.
+   */
+  const { pool, reloadPool } = usePool(currencies.A, currencies.B);
+  const noLiquidity = pool.status === PoolStatus.NOT_CREATED || pool.status === PoolStatus.EMPTY;
+
+  /**
+   * Parsed Amounts
+   *
+   * Typed amounts are parsed with their token's decimals. For existing pools
+   * the other side is quoted at the pair's mid price; new pools use both
+   * typed amounts.
+   */
+  let amountError = "";
+  const parseField = (field) => {
+    try {
+      return parseAmount(typedValues[field], currencies[field]);
+    } catch (error) {
+      amountError = amountError || error.message;
+      return null;
+    }
+  };
+  const independentAmount = parseField(independentField);
+  let dependentAmount = null;
+  if (noLiquidity) dependentAmount = parseField(dependentField);
+  else if (independentAmount && pool.status === PoolStatus.READY) {
+    dependentAmount = getDependentAmount(pool.pair, independentAmount, currencies[dependentField]);
+  }
+  const amounts = {
+    [independentField]: independentAmount,
+    [dependentField]: dependentAmount,
+  };
+
+  const preview = amounts.A && amounts.B && (pool.status === PoolStatus.READY || noLiquidity)
+    ? getLiquidityPreview(pool.pair, pool.totalSupply, amounts.A, amounts.B)
+    : null;
+
+  /**
+   * Initial Price
+   *
+   * For a new pool, the price set by the typed amounts.
+   */
+  const initialPrice = noLiquidity && amounts.A?.greaterThan(0) && amounts.B?.greaterThan(0)
+    ? new Price(currencies.A, currencies.B, amounts.A.quotient, amounts.B.quotient)
+    : null;
+
+  /**
+   * Balances and Approvals
+   *
+   * The router pulls up to the desired amount of each ERC-20 side, so each
+   * needs its own allowance; native ETH is sent as value.
+   */
+  const { balance: balanceA, refetch: refetchBalanceA } = useCurrencyBalance(currencies.A);
+  const { balance: balanceB, refetch: refetchBalanceB } = useCurrencyBalance(currencies.B);
+  const balances = { A: balanceA, B: balanceB };
+
+  const approvalA = useApproval({
+    currency: currencies.A,
+    amount: amounts.A ? toRawAmount(amounts.A) : undefined,
+  });
+  const approvalB = useApproval({
+    currency: currencies.B,
+    amount: amounts.B ? toRawAmount(amounts.B) : undefined,
+  });
+  const approvals = { A: approvalA, B: approvalB };
+
+  const insufficientField = ["A", "B"].find(
+    (field) => amounts[field] && balances[field] && balances[field].lessThan(amounts[field])
+  );
+
+  const handleAmountChange = (field, value) => {
+    setIndependentField(field);
+    setTypedValues(noLiquidity ? { ...typedValues, [field]: value } : { A: "", B: "", [field]: value });
+  };
+
+  /**
+   * Handle Token Selection
+   *
+   * Picking the token already on the other side flips the two sides.
+   */
+  const handleSelectToken = (field, currency) => {
+    const otherField = field === "A" ? "B" : "A";
+    if (currencies[field].equals(currency)) return;
+    if (currencies[otherField].equals(currency)) {
+      setCurrencies({ A: currencies.B, B: currencies.A });
+      // The typed amounts move with their tokens
+      setTypedValues({ A: typedValues.B, B: typedValues.A });
+      setIndependentField(dependentField);
+      return;
+    }
+    setCurrencies({ ...currencies, [field]: currency });
+    setTypedValues({ A: "", B: "" });
+    setAcceptedFirstLpRisk(false);
+  };
+
+  /**
+   * Approve Side
+   *
+   * Approves the router for one side following the approval policy. The
+   * outcome is reported by the transaction toast.
+   */
+  const approveSide = async (field) => {
+    // The amount may have been cleared while an earlier approval was mining
+    if (!amounts[field]) return;
+    const currency = currencies[field];
+    const policy = getApprovalPolicy(settings, currency);
+    try {
+      await approvals[field].approve(getApprovalAmount(policy, currency, toRawAmount(amounts[field])));
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  /**
+   * Add Liquidity
+   *
+   * Sends addLiquidity / addLiquidityETH with the slippage-adjusted minimums
+   * from settings through the transaction manager, which reports the outcome.
+   * Seeding a new pool deposits exactly the typed amounts, so the initial
+   * price can't be moved.
+   */
+  const addLiquidity = async () => {
+    setSubmitting(true);
+    try {
+      const { functionName, args, value } = buildAddLiquidityCall(amounts.A, amounts.B, {
+        slippageTolerance: getSlippageTolerance(settings, [currencies.A, currencies.B]),
+        recipient: address,
+        deadline: getDeadline(settings),
+        noLiquidity,
+      });
+      const amountsSummary = `${formatAmount(amounts.A)} ${currencies.A.symbol} + ${formatAmount(amounts.B)} ${currencies.B.symbol}`;
+      const result = await runTransaction({
+        type: TxType.ADD_LIQUIDITY,
+        summary: noLiquidity ? `Create pool with ${amountsSummary}` : `Add ${amountsSummary}`,
+        amounts: [
+          toHistoryAmount(AmountRole.PAID, amounts.A),
+          toHistoryAmount(AmountRole.PAID, amounts.B),
+          ...(preview ? [toHistoryAmount(AmountRole.RECEIVED, preview.liquidityMinted)] : []),
+        ],
+        send: () =>
+          writeContractAsync({
+            address: ROUTER_ADDRESS,
+            abi: IUniswapV2RouterABI.abi,
+            functionName,
+            args,
+            value,
+          }),
+      });
+      if (wentThrough(result)) {
+        setTypedValues({ A: "", B: "" });
+        setAcceptedFirstLpRisk(false);
+        // Quotes use a newly created pair right away
+        forgetMissingPair(pool.pair.liquidityToken.address);
+        // Listed under My Positions even when logs don't reach back this far
+        trackPair(pool.pair.liquidityToken.address);
+      }
+      refetchBalanceA();
+      refetchBalanceB();
+      reloadPool();
+    } catch (error) {
+      console.log(error);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const displayAmount = (field) => {
+    if (noLiquidity || field === independentField) return typedValues[field];
+    return amounts[field] ? formatAmount(amounts[field]) : "";
+  };
+
+  const tokenFor = (field) => ({
+    symbol: currencies[field].symbol,
+    balance: balances[field] ? formatAmount(balances[field]) : "0",
+    currency: currencies[field],
+  });
+
+  const pendingApprovalField = ["A", "B"].find(
+    (field) =>
+      approvals[field].approvalState === ApprovalState.NOT_APPROVED ||
+      approvals[field].approvalState === ApprovalState.PENDING
+  );
+
+  let buttonLabel = noLiquidity ? "Create Pool & Supply" : "Add Liquidity";
+  if (pool.status === PoolStatus.LOADING) buttonLabel = "Loading pool...";
+  else if (pool.status === PoolStatus.ERROR) buttonLabel = "Failed to load pool";
+  else if (!amounts.A || !amounts.B) buttonLabel = noLiquidity ? "Enter both amounts" : "Enter an amount";
+  else if (!preview) buttonLabel = "Amounts too small";
+  else if (insufficientField) buttonLabel = `Insufficient ${currencies[insufficientField].symbol} balance`;
+  else if (submitting) buttonLabel = noLiquidity ? "Creating pool..." : "Adding liquidity...";
+
+  const canSubmit = (pool.status === PoolStatus.READY || noLiquidity) && Boolean(preview) && !insufficientField &&
+    (!noLiquidity || acceptedFirstLpRisk) && !pendingApprovalField && !submitting &&
+    approvals.A.approvalState === ApprovalState.APPROVED && approvals.B.approvalState === ApprovalState.APPROVED;
+
+  return (
+    <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 text-center">
+        {noLiquidity ? "Create Pool" : "Add Liquidity"}
+      </h2>
+      <div className="space-y-4">
+        <TokenSelector
+          label="Deposit"
+          token={tokenFor("A")}
+          amount={displayAmount("A")}
+          onAmountChange={(value) => handleAmountChange("A", value)}
+          onSelectToken={(currency) => handleSelectToken("A", currency)}
+        />
+        <div className="flex justify-center">
+          <PlusIcon className="h-5 w-5 text-gray-600" />
+        </div>
+        <TokenSelector
+          label="Deposit"
+          token={tokenFor("B")}
+          amount={displayAmount("B")}
+          onAmountChange={(value) => handleAmountChange("B", value)}
+          onSelectToken={(currency) => handleSelectToken("B", currency)}
+        />
+        {amountError && (
+          <div className="text-xs text-red-600 text-center">{amountError}</div>
+        )}
+
+        {/**
+         * Pool Details
+         *
+         * Current prices, plus the LP tokens and pool share the deposit would get.
+         */}
+        {pool.status === PoolStatus.READY && (
+          <div className="text-xs text-gray-500 space-y-1">
+            <div className="flex justify-between">
+              <span>{currencies.B.symbol} per {currencies.A.symbol}</span>
+              <span>{pool.pair.priceOf(currencies.A.wrapped).toSignificant(6)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>{currencies.A.symbol} per {currencies.B.symbol}</span>
+              <span>{pool.pair.priceOf(currencies.B.wrapped).toSignificant(6)}</span>
+            </div>
+            {preview && (
+              <>
+                <div className="flex justify-between">
+                  <span>LP tokens received</span>
+                  <span>{formatAmount(preview.liquidityMinted)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>Share of pool</span>
+                  <span>{preview.poolShare.lessThan(MIN_DISPLAYED_SHARE) ? "<0.01" : preview.poolShare.toFixed(2)}%</span>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+        {/**
+         * New Pool
+         *
+         * The typed amounts set the initial price. The first provider has to
+         * acknowledge the risk of seeding a pool at the wrong price.
+         */}
+        {noLiquidity && (
+          <div className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-300 rounded-lg p-2 space-y-2">
+            <div className="font-medium">
+              {pool.status === PoolStatus.NOT_CREATED
+                ? `You are creating the ${currencies.A.symbol}/${currencies.B.symbol} pool.`
+                : `The ${currencies.A.symbol}/${currencies.B.symbol} pool has no liquidity.`}
+            </div>
+            <div>
+              The ratio of the amounts you deposit sets the pool's starting price. If it differs from the
+              market price, arbitrageurs will immediately trade the pool back to the market price and you
+              will lose the difference.
+            </div>
+            {initialPrice && (
+              <>
+                <div className="flex justify-between">
+                  <span>{currencies.B.symbol} per {currencies.A.symbol}</span>
+                  <span>{initialPrice.toSignificant(6)}</span>
+                </div>
+                <div className="flex justify-between">
+                  <span>{currencies.A.symbol} per {currencies.B.symbol}</span>
+                  <span>{initialPrice.invert().toSignificant(6)}</span>
+                </div>
+              </>
+            )}
+            {preview && (
+              <div className="flex justify-between">
+                <span>LP tokens received</span>
+                <span>{formatAmount(preview.liquidityMinted)}</span>
+              </div>
+            )}
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={acceptedFirstLpRisk}
+                onChange={(e) => setAcceptedFirstLpRisk(e.target.checked)}
+              />
+              <span>I have checked the price and understand the risk</span>
+            </label>
+          </div>
+        )}
+
+        <div className="flex justify-between items-center">
+          <button
+            type="button"
+            onClick={() => setShowSettings(true)}
+            className="text-sm text-blue-500 hover:underline"
+          >
+            Settings
+          </button>
+          <div className="text-xs text-gray-500">
+            Slippage: {getEffectiveSlippage(settings, [currencies.A, currencies.B])}% | Deadline: {settings.deadline}m
+          </div>
+        </div>
+
+        {/**
+         * Approval Steps
+         *
+         * One button per ERC-20 side whose allowance doesn't cover its amount.
+         * A side without an amount has nothing to approve, even while an
+         * earlier approval for it is still mining (its toast shows progress).
+         */}
+        {["A", "B"].map((field) => {
+          const { approvalState } = approvals[field];
+          if (approvalState !== ApprovalState.NOT_APPROVED && approvalState !== ApprovalState.PENDING) return null;
+          if (!amounts[field]) return null;
+          const currency = currencies[field];
+          const policy = getApprovalPolicy(settings, currency);
+          const approvalAmount = getApprovalAmount(policy, currency, toRawAmount(amounts[field]));
+          return (
+            <div key={field} className="space-y-1">
+              <button
+                type="button"
+                className="w-full bg-green-600 text-white py-2 rounded-lg font-medium hover:bg-green-700 transition disabled:opacity-50"
+                onClick={() => approveSide(field)}
+                disabled={approvalState === ApprovalState.PENDING}
+              >
+                {approvalState === ApprovalState.PENDING ? `Approving ${currency.symbol}...` : `Approve ${currency.symbol}`}
+              </button>
+              <div className="text-xs text-gray-500 text-center">
+                Approval: {describeApproval(policy, currency, approvalAmount)}
+              </div>
+            </div>
+          );
+        })}
+
+        <button
+          type="button"
+          className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50"
+          onClick={addLiquidity}
+          disabled={!canSubmit}
+        >
+          {buttonLabel}
+        </button>
+        <ConnectWalletButton />
+      </div>
+      {showSettings && (
+        <SettingsModal
+          onClose={() => setShowSettings(false)}
+          currentSettings={settings}
+          onSaveSettings={saveSettings}
+          currentPair={[currencies.A, currencies.B]}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,251 @@
+/**
+ * ApprovalsManager Component
+ *
+ * Lists every spender the connected account has approved to move its tokens,
+ * with the current allowance, and lets the user revoke (approve 0) or change
+ * each allowance. The approvals are sent through the transaction manager, so
+ * they get toasts and are kept in the history.
+ *
+ * Key React Concepts Demonstrated:
+ * - useEffect for loading data when the account changes
+ * - useCallback to keep the loader stable between renders
+ * - Per-row UI state (which row is being edited or has a pending transaction)
+ *
+ * Key Web3/DeFi Concepts:
+ * - Allowance: How many tokens a spender may move on the owner's behalf
+ * - Revoking: Setting the allowance back to 0 so the spender can move nothing
+ * - Unlimited approvals (maxUint256) are shown as "Unlimited"
+ */
+
+import { useCallback, useEffect, useState } from "react";
+
+// Wagmi hooks for the account and transactions
+import { useAccount, useWriteContract } from "wagmi";
+
+// Viem's standard ERC-20 ABI and the unlimited approval constant
+import { erc20Abi, maxUint256 } from "viem";
+
+// Uniswap SDK Core for the approved amount in the history
+import { CurrencyAmount } from "@uniswap/sdk-core";
+
+// Router address, shown by name
+import { ROUTER_ADDRESS } from "../constants/tokens.js";
+
+// Known tokens from the loaded token lists
+import { useTokenLists } from "../hooks/useTokenLists.js";
+
+// Transaction manager, which tracks each approval and reports it in a toast
+import { useTransactions } from "../hooks/useTransactions.js";
+import { wentThrough } from "../utils/transactions.js";
+import { AmountRole, toHistoryAmount, TxType } from "../utils/history.js";
+
+// Shared public client, approval scanning and amount helpers
+import { publicClient } from "../utils/client.js";
+import { scanApprovals } from "../utils/approvals.js";
+import { needsApprovalReset } from "../utils/approvalPolicy.js";
+import { formatRawAmount, parseAmount, toRawAmount } from "../utils/amounts.js";
+
+/**
+ * Allowances at or above this are treated as unlimited; some tokens
+ * decrease even a maxUint256 allowance as it is spent
+ */
+const UNLIMITED_THRESHOLD = maxUint256 / 2n;
+
+const shortenAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * ApprovalsManager Functional Component
+ *
+ * @returns {JSX.Element} The rendered approvals view
+ */
+export default function ApprovalsManager() {
+  const { address } = useAccount();
+  const { tokens } = useTokenLists();
+  const { writeContractAsync } = useWriteContract();
+  const { runTransaction } = useTransactions();
+
+  /**
+   * State Variables
+   *
+   * approvals: Scanned approvals [{ token, tokenAddress, spender, allowance }]
+   * loading / error: Scan and transaction status
+   * editing: Row key whose allowance is being edited
+   * editAmount: New allowance typed for that row
+   * pendingKey: Row key with a transaction in flight
+   */
+  const [approvals, setApprovals] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [editing, setEditing] = useState(null);
+  const [editAmount, setEditAmount] = useState("");
+  const [pendingKey, setPendingKey] = useState(null);
+
+  const loadApprovals = useCallback(async () => {
+    if (!address) return;
+    setLoading(true);
+    setError("");
+    try {
+      const knownTokens = tokens.filter((currency) => !currency.isNative);
+      setApprovals(await scanApprovals(publicClient, address, knownTokens));
+    } catch (err) {
+      console.log(err);
+      setError("Failed to load approvals");
+    } finally {
+      setLoading(false);
+    }
+  }, [address, tokens]);
+
+  useEffect(() => {
+    loadApprovals();
+  }, [loadApprovals]);
+
+  /**
+   * Set Allowance
+   *
+   * Sends approve(spender, amount) for one row, waits for it to be mined and
+   * rescans. Revoking is setting the amount to 0. Tokens that only change a
+   * zero allowance (see needsApprovalReset) are reset to 0 first.
+   */
+  const setAllowance = async (entry, amount) => {
+    const key = `${entry.tokenAddress}-${entry.spender}`;
+    const symbol = entry.token?.symbol ?? shortenAddress(entry.tokenAddress);
+    setPendingKey(key);
+    setError("");
+    const sendApproval = async (value, summary) => {
+      const result = await runTransaction({
+        type: TxType.APPROVE,
+        summary,
+        // Tokens without metadata can't be formatted, so only their status is kept
+        amounts: entry.token
+          ? [toHistoryAmount(AmountRole.APPROVED, CurrencyAmount.fromRawAmount(entry.token, value.toString()))]
+          : [],
+        send: () =>
+          writeContractAsync({
+            address: entry.tokenAddress,
+            abi: erc20Abi,
+            functionName: "approve",
+            args: [entry.spender, value],
+          }),
+      });
+      if (!wentThrough(result)) {
+        throw new Error(`Approval transaction ${result.status}`);
+      }
+    };
+
+    try {
+      // The scanned allowance may be out of date, so the reset check reads it again
+      const currentAllowance = await publicClient.readContract({
+        address: entry.tokenAddress,
+        abi: erc20Abi,
+        functionName: "allowance",
+        args: [address, entry.spender],
+      });
+      if (needsApprovalReset(entry.tokenAddress, currentAllowance, amount)) {
+        await sendApproval(0n, `Reset ${symbol} approval`);
+      }
+      await sendApproval(amount, amount === 0n ? `Revoke ${symbol}` : `Approve ${symbol}`);
+      setEditing(null);
+      await loadApprovals();
+    } catch (err) {
+      console.log(err);
+      setError(err.shortMessage ?? err.message);
+    } finally {
+      setPendingKey(null);
+    }
+  };
+
+  const saveEdit = (entry) => {
+    try {
+      const parsed = parseAmount(editAmount, entry.token);
+      setAllowance(entry, parsed ? toRawAmount(parsed) : 0n);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatAllowance = (entry) => {
+    if (entry.allowance >= UNLIMITED_THRESHOLD) return "Unlimited";
+    return entry.token ? formatRawAmount(entry.allowance, entry.token) : entry.allowance.toString();
+  };
+
+  return (
+    <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Token Approvals</h2>
+        <button
+          type="button"
+          onClick={loadApprovals}
+          disabled={loading || !address}
+          className="text-sm text-blue-500 hover:underline disabled:opacity-50"
+        >
+          {loading ? "Scanning..." : "Refresh"}
+        </button>
+      </div>
+
+      {!address && <div className="text-sm text-gray-500 text-center">Connect a wallet to see its approvals.</div>}
+      {error && <div className="text-xs text-red-600 mb-2">{error}</div>}
+      {address && !loading && approvals.length === 0 && (
+        <div className="text-sm text-gray-500 text-center">No active approvals found.</div>
+      )}
+
+      <div className="space-y-2">
+        {approvals.map((entry) => {
+          const key = `${entry.tokenAddress}-${entry.spender}`;
+          const isPending = pendingKey === key;
+          return (
+            <div key={key} className="border border-gray-200 rounded-lg p-3 text-sm">
+              <div className="flex justify-between">
+                <span className="font-medium">{entry.token?.symbol ?? shortenAddress(entry.tokenAddress)}</span>
+                <span>{formatAllowance(entry)}</span>
+              </div>
+              <div className="text-xs text-gray-500">
+                Spender: {entry.spender === ROUTER_ADDRESS ? "Uniswap V2 Router" : shortenAddress(entry.spender)}
+              </div>
+
+              {editing === key ? (
+                <div className="mt-2 flex space-x-2">
+                  <input
+                    type="text"
+                    inputMode="decimal"
+                    className="flex-1 border border-gray-400 rounded-lg p-1"
+                    placeholder="New allowance"
+                    value={editAmount}
+                    onChange={(e) => setEditAmount(e.target.value)}
+                  />
+                  <button onClick={() => saveEdit(entry)} disabled={isPending} className="text-blue-500 hover:underline disabled:opacity-50">
+                    Save
+                  </button>
+                  <button onClick={() => setEditing(null)} className="text-gray-500 hover:underline">
+                    Cancel
+                  </button>
+                </div>
+              ) : (
+                <div className="mt-2 flex space-x-3">
+                  <button
+                    onClick={() => setAllowance(entry, 0n)}
+                    disabled={isPending}
+                    className="text-red-500 hover:underline disabled:opacity-50"
+                  >
+                    {isPending ? "Pending..." : "Revoke"}
+                  </button>
+                  {entry.token && (
+                    <button
+                      onClick={() => {
+                        setEditing(key);
+                        setEditAmount("");
+                      }}
+                      disabled={isPending}
+                      className="text-blue-500 hover:underline disabled:opacity-50"
+                    >
+                      Edit allowance
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
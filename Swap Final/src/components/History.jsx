@@ -0,0 +1,160 @@
+/**
+ * History Component
+ *
+ * Lists the connected account's past transactions from the stored history,
+ * with what the app quoted next to what the receipt showed, the gas used and
+ * the final status. Entries can be filtered by type and by token.
+ *
+ * Key React Concepts:
+ * - useMemo so filtering only reruns when the history or filters change
+ * - Controlled selects for the filters
+ */
+
+import { useMemo, useState } from "react";
+
+// Wagmi hook for the connected account
+import { useAccount } from "wagmi";
+
+// Stored history from the transaction manager
+import { useTransactions } from "../hooks/useTransactions.js";
+import { toStoredCurrency, TxType } from "../utils/history.js";
+import { TxStatus } from "../utils/transactions.js";
+
+// Native ETH for the gas cost, and amount formatting
+import { ETHER } from "../constants/tokens.js";
+import { formatRawAmount } from "../utils/amounts.js";
+
+/**
+ * Type filter choices, in display order
+ */
+const TYPE_OPTIONS = [
+  { value: "all", label: "All types" },
+  { value: TxType.SWAP, label: "Swaps" },
+  { value: TxType.APPROVE, label: "Approvals" },
+  { value: TxType.ADD_LIQUIDITY, label: "Add liquidity" },
+  { value: TxType.REMOVE_LIQUIDITY, label: "Remove liquidity" },
+];
+
+const STATUS_COLORS = {
+  [TxStatus.SUCCESS]: "text-green-600",
+  [TxStatus.REVERTED]: "text-red-600",
+  [TxStatus.FAILED]: "text-red-600",
+  [TxStatus.DROPPED]: "text-yellow-600",
+  [TxStatus.REPLACED]: "text-yellow-600",
+};
+
+// Native ETH has no address, so it is keyed by symbol
+const tokenKey = (currency) => currency.address?.toLowerCase() ?? currency.symbol;
+
+const shortenHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-6)}`;
+
+/**
+ * History Functional Component
+ *
+ * @returns {JSX.Element} The rendered history list
+ */
+export default function History() {
+  const { address } = useAccount();
+  const { history } = useTransactions();
+
+  /**
+   * Filters
+   *
+   * typeFilter: A TxType or "all"
+   * tokenFilter: A token key (see tokenKey) or "all"
+   */
+  const [typeFilter, setTypeFilter] = useState("all");
+  const [tokenFilter, setTokenFilter] = useState("all");
+
+  // Every token that appears in the history, for the token filter
+  const tokenOptions = useMemo(() => {
+    const tokens = new Map();
+    history.forEach((entry) => entry.amounts.forEach(({ currency }) => tokens.set(tokenKey(currency), currency.symbol)));
+    return [...tokens.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [history]);
+
+  const entries = useMemo(
+    () =>
+      history.filter(
+        (entry) =>
+          (typeFilter === "all" || entry.type === typeFilter) &&
+          (tokenFilter === "all" || entry.amounts.some(({ currency }) => tokenKey(currency) === tokenFilter))
+      ),
+    [history, typeFilter, tokenFilter]
+  );
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-2xl shadow-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4">History</h2>
+
+      <div className="flex space-x-2 mb-3">
+        <select
+          className="flex-1 border border-gray-400 rounded-lg p-2 text-sm"
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+        >
+          {TYPE_OPTIONS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </select>
+        <select
+          className="flex-1 border border-gray-400 rounded-lg p-2 text-sm"
+          value={tokenFilter}
+          onChange={(e) => setTokenFilter(e.target.value)}
+        >
+          <option value="all">All tokens</option>
+          {tokenOptions.map(([key, symbol]) => (
+            <option key={key} value={key}>{symbol}</option>
+          ))}
+        </select>
+      </div>
+
+      {!address && <div className="text-sm text-gray-500 text-center">Connect a wallet to see its history.</div>}
+      {address && entries.length === 0 && (
+        <div className="text-sm text-gray-500 text-center py-4">
+          {history.length === 0 ? "No transactions yet." : "No transactions match the filters."}
+        </div>
+      )}
+
+      <div className="divide-y divide-gray-200">
+        {entries.map((entry) => (
+          <div key={entry.key} className="py-3 text-sm space-y-1">
+            <div className="flex justify-between">
+              <span className="font-medium">{entry.summary}</span>
+              <span className={STATUS_COLORS[entry.status] ?? "text-blue-600"}>
+                {entry.status}
+                {entry.replaceReason && ` (${entry.replaceReason})`}
+              </span>
+            </div>
+            <div className="text-xs text-gray-400">
+              {new Date(entry.submittedAt).toLocaleString()} · {shortenHash(entry.hash)}
+            </div>
+
+            {/* Quoted vs. actual amounts */}
+            {entry.amounts.map((amount, index) => {
+              const currency = toStoredCurrency(entry.chainId, amount.currency);
+              return (
+                <div key={index} className="flex justify-between text-xs text-gray-600">
+                  <span className="capitalize">{amount.role} {currency.symbol}</span>
+                  <span>
+                    quoted {formatRawAmount(amount.quoted, currency)}
+                    {amount.actual !== null && ` · actual ${formatRawAmount(amount.actual, currency)}`}
+                  </span>
+                </div>
+              );
+            })}
+
+            {entry.gasUsed && (
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>Gas used</span>
+                <span>
+                  {Number(entry.gasUsed).toLocaleString()} ({formatRawAmount(entry.gasCost, ETHER)} ETH)
+                </span>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
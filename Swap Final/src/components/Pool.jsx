@@ -0,0 +1,56 @@
+/**
+ * Pool Component
+ *
+ * The liquidity section of the app: switches between adding liquidity to a
+ * pair, removing it again and the account's positions.
+ */
+
+import { useState } from "react";
+
+import AddLiquidity from "./AddLiquidity.jsx";
+import RemoveLiquidity from "./RemoveLiquidity.jsx";
+import Positions from "./Positions.jsx";
+
+/**
+ * Pool Views
+ *
+ * Each entry is a tab above the card.
+ */
+const VIEWS = [
+  { id: "add", label: "Add" },
+  { id: "remove", label: "Remove" },
+  { id: "positions", label: "My Positions" },
+];
+
+/**
+ * Pool Functional Component
+ *
+ * @param {Object} props - The component props
+ * @param {Currency[]} [props.initialCurrencies] - Pair to preselect in the add view
+ * @returns {JSX.Element} The selected liquidity view with its tabs
+ */
+export default function Pool({ initialCurrencies }) {
+  const [view, setView] = useState("add");
+
+  return (
+    <div className="w-full max-w-md flex flex-col items-center">
+      <div className="mb-3 flex space-x-2">
+        {VIEWS.map(({ id, label }) => (
+          <button
+            key={id}
+            type="button"
+            onClick={() => setView(id)}
+            className={`px-3 py-1 rounded-lg text-sm font-medium transition ${
+              view === id ? "bg-white text-gray-900 shadow" : "text-gray-700 hover:bg-slate-200"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+      {view === "add" && <AddLiquidity initialCurrencies={initialCurrencies} />}
+      {view === "remove" && <RemoveLiquidity />}
+      {view === "positions" && <Positions />}
+    </div>
+  );
+}
@@ -0,0 +1,267 @@
+/**
+ * PoolExplorer Component
+ *
+ * Browses every pair deployed by the Uniswap V2 factory, a page at a time.
+ * Loaded pages are cached in IndexedDB, can be searched by token and sorted
+ * by liquidity, and each pair can be opened in the swap or add-liquidity view.
+ *
+ * Key React Concepts:
+ * - useEffect to load the cache and pair count once on mount
+ * - useMemo so sorting and filtering only rerun when their inputs change
+ * - Callback props to navigate to another page with the pair preselected
+ */
+
+import { useEffect, useMemo, useState } from "react";
+
+// Shared public client for the local fork
+import { publicClient as client } from "../utils/client.js";
+
+// Native ETH replaces WETH when opening a pair
+import { ETHER, WETH } from "../constants/tokens.js";
+
+// Factory paging, caching and valuation
+import {
+  buildExplorerPairs,
+  fetchAllPairsLength,
+  fetchPairPage,
+  getLiquidityInEth,
+  loadExplorerCache,
+  PAGE_SIZE,
+} from "../utils/explorer.js";
+
+// Amount formatting
+import { formatAmount } from "../utils/amounts.js";
+
+/**
+ * Sort Options
+ */
+const SortOrder = {
+  LIQUIDITY: "liquidity",
+  NEWEST: "newest",
+  OLDEST: "oldest",
+};
+
+/**
+ * Rows rendered before "Show more"
+ */
+const ROWS_PER_VIEW = 50;
+
+const toCurrency = (token) => (token.equals(WETH) ? ETHER : token);
+
+const matchesQuery = (token, query) =>
+  token.symbol?.toLowerCase().includes(query) ||
+  token.name?.toLowerCase().includes(query) ||
+  token.address.toLowerCase() === query;
+
+/**
+ * PoolExplorer Functional Component
+ *
+ * @param {Object} props - The component props
+ * @param {Function} props.onOpenPair - Called with (currencyA, currencyB, page)
+ *   where page is "swap" or "pool"
+ * @returns {JSX.Element} The rendered explorer
+ */
+export default function PoolExplorer({ onOpenPair }) {
+  /**
+   * State Variables
+   *
+   * pairRecords / tokenRecords: Cached and freshly loaded factory data
+   * totalPairs: allPairsLength, or null until read
+   * loading / error: Page loading status
+   * query / sortOrder / visibleCount: View options
+   */
+  const [pairRecords, setPairRecords] = useState([]);
+  const [tokenRecords, setTokenRecords] = useState(new Map());
+  const [totalPairs, setTotalPairs] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [query, setQuery] = useState("");
+  const [sortOrder, setSortOrder] = useState(SortOrder.LIQUIDITY);
+  const [visibleCount, setVisibleCount] = useState(ROWS_PER_VIEW);
+
+  useEffect(() => {
+    loadExplorerCache(client.chain.id)
+      .then(({ pairs, tokens }) => {
+        setPairRecords(pairs);
+        setTokenRecords(tokens);
+      })
+      .catch((err) => console.log(err));
+    fetchAllPairsLength(client)
+      .then(setTotalPairs)
+      .catch(() => setError("Failed to read the factory"));
+  }, []);
+
+  const nextIndex = pairRecords.length > 0 ? pairRecords[pairRecords.length - 1].index + 1 : 0;
+
+  /**
+   * Merge Page
+   *
+   * Adds freshly read pairs and tokens, replacing older copies of the same pairs.
+   */
+  const mergePage = ({ pairs, tokens }) => {
+    setPairRecords((current) => {
+      const byIndex = new Map(current.map((record) => [record.index, record]));
+      pairs.forEach((record) => byIndex.set(record.index, record));
+      return [...byIndex.values()].sort((a, b) => a.index - b.index);
+    });
+    setTokenRecords((current) => {
+      const next = new Map(current);
+      tokens.forEach((record) => next.set(record.address, record));
+      return next;
+    });
+  };
+
+  /**
+   * Load Next Page
+   */
+  const loadMore = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const count = Math.min(PAGE_SIZE, totalPairs - nextIndex);
+      mergePage(await fetchPairPage(client, nextIndex, count, tokenRecords));
+    } catch (err) {
+      console.log(err);
+      setError("Failed to load pairs");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Refresh Reserves
+   *
+   * Re-reads every loaded page, since cached reserves go stale.
+   */
+  const refresh = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      for (let start = 0; start < nextIndex; start += PAGE_SIZE) {
+        mergePage(await fetchPairPage(client, start, Math.min(PAGE_SIZE, nextIndex - start), tokenRecords));
+      }
+    } catch (err) {
+      console.log(err);
+      setError("Failed to refresh pairs");
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const rows = useMemo(
+    () => buildExplorerPairs(pairRecords, tokenRecords, client.chain.id),
+    [pairRecords, tokenRecords]
+  );
+  const liquidity = useMemo(() => getLiquidityInEth(rows), [rows]);
+
+  const visibleRows = useMemo(() => {
+    const search = query.trim().toLowerCase();
+    const filtered = search
+      ? rows.filter(({ pair }) => matchesQuery(pair.token0, search) || matchesQuery(pair.token1, search))
+      : rows;
+
+    return [...filtered].sort((a, b) => {
+      if (sortOrder === SortOrder.NEWEST) return b.index - a.index;
+      if (sortOrder === SortOrder.OLDEST) return a.index - b.index;
+      const [valueA, valueB] = [liquidity.get(a.index), liquidity.get(b.index)];
+      if (!valueA || !valueB) return valueA ? -1 : valueB ? 1 : a.index - b.index;
+      return valueB.greaterThan(valueA) ? 1 : valueA.greaterThan(valueB) ? -1 : 0;
+    });
+  }, [rows, liquidity, query, sortOrder]);
+
+  const hasMore = totalPairs !== null && nextIndex < totalPairs;
+
+  return (
+    <div className="w-full max-w-2xl bg-white rounded-2xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">Pools</h2>
+        <div className="text-xs text-gray-500">
+          {pairRecords.length} of {totalPairs ?? "?"} pairs loaded
+        </div>
+      </div>
+
+      <div className="flex space-x-2 mb-3">
+        <input
+          type="text"
+          className="flex-1 border border-gray-400 rounded-lg p-2 text-sm"
+          placeholder="Search by token name, symbol or address"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value);
+            setVisibleCount(ROWS_PER_VIEW);
+          }}
+        />
+        <select
+          className="border border-gray-400 rounded-lg p-2 text-sm"
+          value={sortOrder}
+          onChange={(e) => setSortOrder(e.target.value)}
+        >
+          <option value={SortOrder.LIQUIDITY}>Most liquidity</option>
+          <option value={SortOrder.NEWEST}>Newest</option>
+          <option value={SortOrder.OLDEST}>Oldest</option>
+        </select>
+      </div>
+
+      {error && <div className="text-xs text-red-600 mb-2">{error}</div>}
+
+      <div className="divide-y divide-gray-200">
+        {visibleRows.slice(0, visibleCount).map(({ index, pair }) => {
+          const value = liquidity.get(index);
+          return (
+            <div key={index} className="py-2 flex items-center justify-between text-sm">
+              <div>
+                <div className="font-medium">
+                  {pair.token0.symbol}/{pair.token1.symbol}
+                  <span className="ml-2 text-xs text-gray-400">#{index}</span>
+                </div>
+                <div className="text-xs text-gray-500">
+                  {formatAmount(pair.reserve0)} {pair.token0.symbol} + {formatAmount(pair.reserve1)} {pair.token1.symbol}
+                  {value && ` ≈ ${formatAmount(value)} ETH`}
+                </div>
+              </div>
+              <div className="flex space-x-3">
+                <button
+                  type="button"
+                  onClick={() => onOpenPair(toCurrency(pair.token0), toCurrency(pair.token1), "swap")}
+                  className="text-blue-500 hover:underline"
+                >
+                  Swap
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onOpenPair(toCurrency(pair.token0), toCurrency(pair.token1), "pool")}
+                  className="text-blue-500 hover:underline"
+                >
+                  Add
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {visibleRows.length === 0 && !loading && (
+        <div className="text-sm text-gray-500 text-center py-4">
+          {rows.length === 0 ? "No pairs loaded yet." : "No pairs match your search."}
+        </div>
+      )}
+
+      <div className="mt-4 flex justify-center space-x-4 text-sm">
+        {visibleRows.length > visibleCount && (
+          <button type="button" onClick={() => setVisibleCount(visibleCount + ROWS_PER_VIEW)} className="text-blue-500 hover:underline">
+            Show more
+          </button>
+        )}
+        {hasMore && (
+          <button type="button" onClick={loadMore} disabled={loading} className="text-blue-500 hover:underline disabled:opacity-50">
+            {loading ? "Loading..." : `Load next ${Math.min(PAGE_SIZE, totalPairs - nextIndex)} pairs`}
+          </button>
+        )}
+        {pairRecords.length > 0 && (
+          <button type="button" onClick={refresh} disabled={loading} className="text-blue-500 hover:underline disabled:opacity-50">
+            Refresh reserves
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
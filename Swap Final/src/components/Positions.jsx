@@ -0,0 +1,157 @@
+/**
+ * Positions Component
+ *
+ * "My Positions": every Uniswap V2 pool the connected account holds LP tokens
+ * in, with its share of the pool, the tokens it can be redeemed for and how
+ * its value compares with what was deposited.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Pool share: LP balance / LP total supply
+ * - Underlying amounts: The same share of each reserve
+ * - Entry vs. current value: Both valued in the pair's second token at today's
+ *   price. The difference is fees earned minus impermanent loss.
+ */
+
+import { useCallback, useEffect, useState } from "react";
+
+// Wagmi hook for the connected account
+import { useAccount } from "wagmi";
+
+// Known tokens from the loaded token lists
+import { useTokenLists } from "../hooks/useTokenLists.js";
+
+// Shared public client, position scanning and formatting
+import { publicClient } from "../utils/client.js";
+import { scanPositions, valueInToken1 } from "../utils/positions.js";
+import { formatAmount, toRawAmount } from "../utils/amounts.js";
+
+/**
+ * Value Change
+ *
+ * @returns {string} Signed percentage change from entry to current value
+ */
+const formatChange = (entryValue, currentValue) => {
+  const entry = toRawAmount(entryValue);
+  if (entry === 0n) return "";
+  const changeBasisPoints = ((toRawAmount(currentValue) - entry) * 10000n) / entry;
+  const sign = changeBasisPoints > 0n ? "+" : "";
+  return `${sign}${(Number(changeBasisPoints) / 100).toFixed(2)}%`;
+};
+
+/**
+ * Positions Functional Component
+ *
+ * @returns {JSX.Element} The rendered positions list
+ */
+export default function Positions() {
+  const { address } = useAccount();
+  const { tokens } = useTokenLists();
+
+  /**
+   * State Variables
+   *
+   * positions: Scanned positions, see scanPositions
+   * loading / error: Scan status
+   */
+  const [positions, setPositions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadPositions = useCallback(async () => {
+    if (!address) return;
+    setLoading(true);
+    setError("");
+    try {
+      const knownTokens = tokens.filter((currency) => !currency.isNative);
+      setPositions(await scanPositions(publicClient, address, knownTokens));
+    } catch (err) {
+      console.log(err);
+      setError("Failed to load positions");
+    } finally {
+      setLoading(false);
+    }
+  }, [address, tokens]);
+
+  useEffect(() => {
+    loadPositions();
+  }, [loadPositions]);
+
+  return (
+    <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-semibold text-gray-800">My Positions</h2>
+        <button
+          type="button"
+          onClick={loadPositions}
+          disabled={loading || !address}
+          className="text-sm text-blue-500 hover:underline disabled:opacity-50"
+        >
+          {loading ? "Scanning..." : "Refresh"}
+        </button>
+      </div>
+
+      {!address && <div className="text-sm text-gray-500 text-center">Connect a wallet to see its positions.</div>}
+      {error && <div className="text-xs text-red-600 mb-2">{error}</div>}
+      {address && !loading && positions.length === 0 && (
+        <div className="text-sm text-gray-500 text-center">No liquidity positions found.</div>
+      )}
+
+      <div className="space-y-3">
+        {positions.map(({ pair, balance, share, amount0, amount1, entry }) => {
+          const { token0, token1 } = pair;
+          const currentValue = valueInToken1(pair, amount0, amount1);
+          const entryValue = entry && valueInToken1(pair, entry.amount0, entry.amount1);
+          return (
+            <div key={pair.liquidityToken.address} className="border border-gray-200 rounded-lg p-3 text-sm space-y-1">
+              <div className="font-medium">{token0.symbol}/{token1.symbol}</div>
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>LP tokens</span>
+                <span>{formatAmount(balance)}</span>
+              </div>
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>Share of pool</span>
+                <span>{share.toSignificant(4)}%</span>
+              </div>
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>Pooled {token0.symbol}</span>
+                <span>{formatAmount(amount0)}</span>
+              </div>
+              <div className="flex justify-between text-xs text-gray-500">
+                <span>Pooled {token1.symbol}</span>
+                <span>{formatAmount(amount1)}</span>
+              </div>
+              {entry ? (
+                <>
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>Deposited</span>
+                    <span>
+                      {formatAmount(entry.amount0)} {token0.symbol} + {formatAmount(entry.amount1)} {token1.symbol}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>Entry value</span>
+                    <span>{formatAmount(entryValue)} {token1.symbol}</span>
+                  </div>
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>Current value</span>
+                    <span>
+                      {formatAmount(currentValue)} {token1.symbol} ({formatChange(entryValue, currentValue)})
+                    </span>
+                  </div>
+                </>
+              ) : (
+                <>
+                  <div className="flex justify-between text-xs text-gray-500">
+                    <span>Current value</span>
+                    <span>{formatAmount(currentValue)} {token1.symbol}</span>
+                  </div>
+                  <div className="text-xs text-gray-400">Entry unknown: deposited before the scanned history.</div>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
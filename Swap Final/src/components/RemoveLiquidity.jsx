@@ -0,0 +1,355 @@
+/**
+ * RemoveLiquidity Component
+ *
+ * Burns some or all of the user's LP tokens for a pair and returns the
+ * underlying tokens. The amount is chosen as a percentage of the position.
+ *
+ * Key React Concepts:
+ * - Derived state: LP amount and expected tokens are computed from the slider
+ * - Multi-step async flow: sign permit (or approve), then remove
+ *
+ * Key Web3/DeFi Concepts:
+ * - LP tokens: The claim on a share of the pool's reserves
+ * - EIP-2612 permit: An EIP-712 signature that lets the router spend the LP
+ *   tokens without a separate approve transaction
+ * - Fallback: Wallets that can't sign typed data approve the router instead
+ *   and use the plain removeLiquidity methods
+ */
+
+import { useState } from "react";
+
+// Component imports
+import ConnectWalletButton from "./ConnectWalletButton.jsx";
+import SettingsModal from "./SettingsModal.jsx";
+import TokenSelectModal from "./TokenSelectModal.jsx";
+
+// Wagmi hooks for the account, signatures and transactions
+import { useAccount, useSignTypedData, useWriteContract } from "wagmi";
+
+// Uniswap SDK Core for amounts and percentages
+import { CurrencyAmount, Percent } from "@uniswap/sdk-core";
+
+// Shared public client for the local fork
+import { publicClient as client } from "../utils/client.js";
+
+// Shared token and contract constants
+import { DAI, ETHER, ROUTER_ADDRESS } from "../constants/tokens.js";
+
+// Pair loading, liquidity math and permits
+import { PoolStatus, usePool } from "../hooks/usePool.js";
+import { buildRemoveLiquidityCall } from "../utils/liquidity.js";
+import { buildPermitTypedData, isUserRejection, splitPermitSignature } from "../utils/permit.js";
+
+// Decimal-aware formatting of token amounts
+import { formatAmount, toRawAmount } from "../utils/amounts.js";
+
+// Allowance tracking, approval policy and balances
+import { ApprovalState, useApproval } from "../hooks/useApproval.js";
+import { getApprovalAmount, getApprovalPolicy } from "../utils/approvalPolicy.js";
+import { useCurrencyBalance } from "../hooks/useCurrencyBalance.js";
+
+// Transaction manager and history
+import { useTransactions } from "../hooks/useTransactions.js";
+import { wentThrough } from "../utils/transactions.js";
+import { AmountRole, toHistoryAmount, TxType } from "../utils/history.js";
+
+// Settings shared with the swap page
+import { useSettings } from "../hooks/useSettings.js";
+import { getDeadline, getEffectiveSlippage, getSlippageTolerance } from "../utils/settings.js";
+
+// Uniswap V2 router ABI
+import IUniswapV2RouterABI from "@uniswap/v2-periphery/build/IUniswapV2Router02.json";
+
+/**
+ * Preset percentages shown as buttons under the slider
+ */
+const PERCENT_PRESETS = [25, 50, 75, 100];
+
+/**
+ * Underlying Amount
+ *
+ * The share of a pair's reserve that an amount of LP tokens is worth,
+ * expressed in the selected currency (native ETH for the WETH side if ETH was picked).
+ */
+const getUnderlyingAmount = (pool, liquidity, currency) => {
+  const value = pool.pair.getLiquidityValue(currency.wrapped, pool.totalSupply, liquidity);
+  return currency.isNative ? CurrencyAmount.fromRawAmount(currency, value.quotient) : value;
+};
+
+/**
+ * RemoveLiquidity Functional Component
+ *
+ * @returns {JSX.Element} The rendered remove-liquidity form
+ */
+export default function RemoveLiquidity() {
+  const { address } = useAccount();
+  const { writeContractAsync } = useWriteContract();
+  const { signTypedDataAsync } = useSignTypedData();
+  const { runTransaction } = useTransactions();
+  const { settings, saveSettings } = useSettings();
+
+  /**
+   * State Variables
+   *
+   * currencies: The two sides of the pair, { A, B }
+   * selecting: Which side's token picker is open, if any
+   * percent: Share of the position to remove (0-100)
+   * step: Progress message while removing
+   */
+  const [currencies, setCurrencies] = useState({ A: ETHER, B: DAI });
+  const [selecting, setSelecting] = useState(null);
+  const [percent, setPercent] = useState(0);
+  const [showSettings, setShowSettings] = useState(false);
+  const [step, setStep] = useState("");
+
+  const { pool, reloadPool } = usePool(currencies.A, currencies.B);
+  const lpToken = pool.status === PoolStatus.READY ? pool.pair.liquidityToken : undefined;
+  const { balance: lpBalance, refetch: refetchLpBalance } = useCurrencyBalance(lpToken);
+
+  /**
+   * Amounts
+   *
+   * LP tokens to burn and the tokens they are expected to return.
+   */
+  const liquidity = lpBalance && percent > 0
+    ? percent === 100 ? lpBalance : lpBalance.multiply(new Percent(percent, 100))
+    : null;
+  const amounts = liquidity && pool.status === PoolStatus.READY
+    ? { A: getUnderlyingAmount(pool, liquidity, currencies.A), B: getUnderlyingAmount(pool, liquidity, currencies.B) }
+    : null;
+  const position = lpBalance?.greaterThan(0) && pool.status === PoolStatus.READY
+    ? { A: getUnderlyingAmount(pool, lpBalance, currencies.A), B: getUnderlyingAmount(pool, lpBalance, currencies.B) }
+    : null;
+
+  /**
+   * LP Token Allowance
+   *
+   * When the router may already spend enough LP tokens no permit is needed.
+   */
+  const rawLiquidity = liquidity ? toRawAmount(liquidity) : undefined;
+  const lpApproval = useApproval({ currency: lpToken, amount: rawLiquidity });
+
+  const handleSelectToken = (field, currency) => {
+    const otherField = field === "A" ? "B" : "A";
+    if (currencies[field].equals(currency)) return;
+    if (currencies[otherField].equals(currency)) {
+      setCurrencies({ A: currencies.B, B: currencies.A });
+      return;
+    }
+    setCurrencies({ ...currencies, [field]: currency });
+    setPercent(0);
+  };
+
+  /**
+   * Authorize With Permit
+   *
+   * Signs an EIP-2612 permit for exactly the LP tokens being removed. Returns
+   * null when the wallet can't sign typed data, after approving the router the
+   * regular way instead. A rejected signature is rethrown and stops the flow.
+   */
+  const authorizeWithPermit = async (deadline) => {
+    try {
+      setStep("Sign the permit in your wallet...");
+      const typedData = await buildPermitTypedData(client, {
+        pairAddress: lpToken.address,
+        owner: address,
+        spender: ROUTER_ADDRESS,
+        value: rawLiquidity,
+        deadline,
+      });
+      const signature = await signTypedDataAsync({ account: address, ...typedData });
+      return splitPermitSignature(signature);
+    } catch (error) {
+      if (isUserRejection(error)) throw error;
+      console.log(error);
+      setStep("Approving LP tokens...");
+      await lpApproval.approve(getApprovalAmount(getApprovalPolicy(settings, lpToken), lpToken, rawLiquidity));
+      return null;
+    }
+  };
+
+  /**
+   * Remove Liquidity
+   *
+   * Uses a permit unless the router is already approved, then sends the
+   * remove call with slippage-adjusted minimums through the transaction
+   * manager, which reports the outcome.
+   */
+  const removeLiquidity = async () => {
+    try {
+      const deadline = getDeadline(settings);
+      const permit = lpApproval.approvalState === ApprovalState.APPROVED
+        ? null
+        : await authorizeWithPermit(deadline);
+
+      setStep("Confirm the removal in your wallet...");
+      const { functionName, args } = buildRemoveLiquidityCall(liquidity, amounts.A, amounts.B, {
+        slippageTolerance: getSlippageTolerance(settings, [currencies.A, currencies.B]),
+        recipient: address,
+        deadline,
+        permit,
+      });
+      const result = await runTransaction({
+        type: TxType.REMOVE_LIQUIDITY,
+        summary: `Remove ${formatAmount(amounts.A)} ${currencies.A.symbol} + ${formatAmount(amounts.B)} ${currencies.B.symbol}`,
+        amounts: [
+          toHistoryAmount(AmountRole.PAID, liquidity),
+          toHistoryAmount(AmountRole.RECEIVED, amounts.A),
+          toHistoryAmount(AmountRole.RECEIVED, amounts.B),
+        ],
+        send: async () => {
+          const hash = await writeContractAsync({
+            address: ROUTER_ADDRESS,
+            abi: IUniswapV2RouterABI.abi,
+            functionName,
+            args,
+          });
+          setStep("Removing liquidity...");
+          return hash;
+        },
+      });
+      if (wentThrough(result)) {
+        setPercent(0);
+      }
+      refetchLpBalance();
+      reloadPool();
+    } catch (error) {
+      console.log(error);
+    } finally {
+      setStep("");
+    }
+  };
+
+  let buttonLabel = "Remove";
+  if (pool.status === PoolStatus.LOADING) buttonLabel = "Loading pool...";
+  else if (pool.status === PoolStatus.NOT_CREATED) buttonLabel = "Pool does not exist";
+  else if (pool.status === PoolStatus.ERROR) buttonLabel = "Failed to load pool";
+  else if (!lpBalance?.greaterThan(0)) buttonLabel = "No liquidity to remove";
+  else if (!amounts) buttonLabel = "Choose an amount";
+  else if (step) buttonLabel = step;
+
+  return (
+    <div className="w-full max-w-md bg-white rounded-2xl shadow-lg p-6">
+      <h2 className="text-xl font-semibold text-gray-800 mb-4 text-center">
+        Remove Liquidity
+      </h2>
+      <div className="space-y-4">
+        {/* Pair Selection */}
+        <div className="flex items-center justify-center space-x-2">
+          {["A", "B"].map((field) => (
+            <button
+              key={field}
+              type="button"
+              onClick={() => setSelecting(field)}
+              className="bg-white border-2 border-gray-300 px-3 py-1.5 rounded-lg hover:bg-gray-200 transition"
+            >
+              {currencies[field].symbol}
+            </button>
+          ))}
+        </div>
+
+        {/* Current Position */}
+        {position && (
+          <div className="text-xs text-gray-500 space-y-1">
+            <div className="flex justify-between">
+              <span>Your LP tokens</span>
+              <span>{formatAmount(lpBalance)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Pooled {currencies.A.symbol}</span>
+              <span>{formatAmount(position.A)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>Pooled {currencies.B.symbol}</span>
+              <span>{formatAmount(position.B)}</span>
+            </div>
+          </div>
+        )}
+
+        {/**
+         * Amount Slider
+         *
+         * The share of the position to remove, with preset buttons.
+         */}
+        <div className="bg-gray-50 p-4 rounded-lg">
+          <div className="text-3xl font-medium text-gray-900">{percent}%</div>
+          <input
+            type="range"
+            min="0"
+            max="100"
+            step="1"
+            value={percent}
+            onChange={(e) => setPercent(Number(e.target.value))}
+            className="w-full mt-2"
+            disabled={!position}
+          />
+          <div className="mt-2 flex justify-between">
+            {PERCENT_PRESETS.map((preset) => (
+              <button
+                key={preset}
+                type="button"
+                onClick={() => setPercent(preset)}
+                disabled={!position}
+                className="bg-white border border-gray-300 px-3 py-1 rounded-lg text-sm hover:bg-gray-200 transition disabled:opacity-50"
+              >
+                {preset === 100 ? "Max" : `${preset}%`}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Expected Amounts */}
+        {amounts && (
+          <div className="text-sm space-y-1">
+            <div className="flex justify-between">
+              <span>{currencies.A.symbol}</span>
+              <span>{formatAmount(amounts.A)}</span>
+            </div>
+            <div className="flex justify-between">
+              <span>{currencies.B.symbol}</span>
+              <span>{formatAmount(amounts.B)}</span>
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-between items-center">
+          <button
+            type="button"
+            onClick={() => setShowSettings(true)}
+            className="text-sm text-blue-500 hover:underline"
+          >
+            Settings
+          </button>
+          <div className="text-xs text-gray-500">
+            Slippage: {getEffectiveSlippage(settings, [currencies.A, currencies.B])}% | Deadline: {settings.deadline}m
+          </div>
+        </div>
+
+        <button
+          type="button"
+          className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50"
+          onClick={removeLiquidity}
+          disabled={!amounts || Boolean(step)}
+        >
+          {buttonLabel}
+        </button>
+        <ConnectWalletButton />
+      </div>
+      {selecting && (
+        <TokenSelectModal
+          onClose={() => setSelecting(null)}
+          onSelect={(currency) => handleSelectToken(selecting, currency)}
+          selectedCurrency={currencies[selecting]}
+        />
+      )}
+      {showSettings && (
+        <SettingsModal
+          onClose={() => setShowSettings(false)}
+          currentSettings={settings}
+          onSaveSettings={saveSettings}
+          currentPair={[currencies.A, currencies.B]}
+        />
+      )}
+    </div>
+  );
+}
@@ -14,11 +14,71 @@
  * DEX Trading Concepts:
  * - Slippage Tolerance: Maximum acceptable price change during trade execution
  * - Transaction Deadline: Maximum time before a transaction expires
+ * - Routing Limits: How many hops and candidate routes the trade search considers
+ * - Approval Policy: How much the router is approved to spend (exact, unlimited or a cap),
+ *   with per-token overrides
+ * - Expert Mode: Lifts the price impact limit and skips high-impact confirmations
+ * - Advanced: EIP-1559 fee presets from the recent fee history or custom fees,
+ *   a gas limit override and a manual nonce for the next transaction
+ * - Pair Slippage Presets: A slippage remembered for one token pair, used
+ *   instead of the default whenever that pair is swapped
+ *
+ * Every field is validated as it is typed; errors block saving and warnings
+ * point out risky but allowed values.
  */
 
 // Import useState hook for managing component state
 // useState is the most commonly used React hook for adding state to functional components
-import { useState } from "react";
+import { useEffect, useState } from "react";
+
+// Viem unit formatting for fees shown in gwei
+import { formatGwei } from "viem";
+
+// Approval modes shared with the approval step in SwapCard
+import { ApprovalMode } from "../utils/approvalPolicy.js";
+
+// Fee presets for the advanced section
+import { publicClient } from "../utils/client.js";
+import { fetchFeePresets, FeePreset } from "../utils/gas.js";
+
+// Validation and pair presets
+import { getPairKey, validateApprovalCap, validateSettings, validateSlippage } from "../utils/settings.js";
+
+/**
+ * Approval mode choices, in display order
+ */
+const APPROVAL_MODE_OPTIONS = [
+  { value: ApprovalMode.EXACT, label: "Exact" },
+  { value: ApprovalMode.UNLIMITED, label: "Unlimited" },
+  { value: ApprovalMode.CUSTOM, label: "Custom cap" },
+];
+
+/**
+ * Fee preset choices, in display order
+ */
+const FEE_PRESET_OPTIONS = [
+  { value: FeePreset.AUTO, label: "Wallet default" },
+  { value: FeePreset.SLOW, label: "Slow" },
+  { value: FeePreset.NORMAL, label: "Normal" },
+  { value: FeePreset.FAST, label: "Fast" },
+  { value: FeePreset.CUSTOM, label: "Custom" },
+];
+
+/**
+ * Advanced fields, opened automatically when one of them has an error
+ */
+const ADVANCED_FIELDS = ["maxFeePerGas", "maxPriorityFeePerGas", "gasLimit", "nonce"];
+
+/**
+ * Field Message
+ *
+ * A field's validation error, or its warning when there is no error.
+ */
+function FieldMessage({ error, warning }) {
+  if (error) return <p className="mt-1 text-xs text-red-600">{error}</p>;
+  if (warning) return <p className="mt-1 text-xs text-yellow-700">{warning}</p>;
+  return null;
+}
 
 /**
  * SettingsModal Functional Component
@@ -28,11 +88,14 @@ import { useState } from "react";
  * 
  * @param {Object} props - The component props
  * @param {Function} props.onClose - Callback function to close the modal, passed from parent
- * @param {Object} props.currentSettings - Current settings object with slippage and deadline values
+ * @param {Object} props.currentSettings - Current settings object with slippage, deadline and routing values
  * @param {Function} props.onSaveSettings - Callback function to save settings, passed from parent
+ * @param {Token} [props.currentToken] - ERC-20 currently being sold, for its approval override
+ * @param {Currency[]} [props.currentPair] - [currencyA, currencyB] currently being swapped
+ *   or pooled, for its slippage preset
  * @returns {JSX.Element} The rendered modal dialog
  */
-export default function SettingsModal({ onClose, currentSettings, onSaveSettings }) {
+export default function SettingsModal({ onClose, currentSettings, onSaveSettings, currentToken, currentPair }) {
   /**
    * State Management with useState Hook
    * 
@@ -52,9 +115,10 @@ export default function SettingsModal({ onClose, currentSettings, onSaveSettings
    * Example: 0.5% slippage on a $100 trade means the actual price can be 
    * between $99.50 and $100.50.
    * 
-   * Initial value: Uses current settings or defaults to 0.5 (representing 0.5%)
+   * Initial value: Uses current settings or defaults to 0.5 (representing 0.5%).
+   * 0 is a valid setting, so only a missing value falls back to the default.
    */
-  const [slippage, setSlippage] = useState(currentSettings?.slippage || 0.5);
+  const [slippage, setSlippage] = useState(currentSettings?.slippage ?? 0.5);
   
   /**
    * Transaction Deadline State
@@ -69,15 +133,182 @@ export default function SettingsModal({ onClose, currentSettings, onSaveSettings
    */
   const [deadline, setDeadline] = useState(currentSettings?.deadline || 20);
 
+  /**
+   * Routing Limits State
+   * 
+   * maxHops caps how many pairs a route may pass through (1 = direct pair only).
+   * maxResults caps how many candidate routes are kept while searching.
+   * More hops can find better prices but each hop costs another 0.3% LP fee.
+   */
+  const [maxHops, setMaxHops] = useState(currentSettings?.maxHops || 3);
+  const [maxResults, setMaxResults] = useState(currentSettings?.maxResults || 3);
+
+  /**
+   * Approval Policy State
+   * 
+   * approvalMode / approvalCap: The default policy for every token.
+   * overrides: Per-token policies keyed by lowercased address.
+   * tokenOverrideMode / tokenOverrideCap: The override being edited for the
+   * token currently being sold ("default" means no override).
+   */
+  const [approvalMode, setApprovalMode] = useState(currentSettings?.approvalMode || ApprovalMode.EXACT);
+  const [approvalCap, setApprovalCap] = useState(currentSettings?.approvalCap || "");
+  const [overrides, setOverrides] = useState(currentSettings?.approvalOverrides || {});
+  const tokenKey = currentToken?.address.toLowerCase();
+  const [tokenOverrideMode, setTokenOverrideMode] = useState(overrides[tokenKey]?.mode || "default");
+  const [tokenOverrideCap, setTokenOverrideCap] = useState(overrides[tokenKey]?.cap || "");
+
+  /**
+   * Expert Mode State
+   * 
+   * When on, swaps with a price impact above the hard limit are allowed and
+   * high-impact swaps no longer ask for confirmation.
+   */
+  const [expertMode, setExpertMode] = useState(currentSettings?.expertMode || false);
+
+  /**
+   * Advanced Transaction State
+   * 
+   * feePreset: A FeePreset; custom fees are entered in gwei
+   * gasLimit: Gas limit override, empty to let the wallet estimate
+   * nonce: Nonce for the next transaction, empty for the account's next one
+   * feePresets: The presets' current fees, loaded when the section is opened
+   */
+  const [showAdvanced, setShowAdvanced] = useState(false);
+  const [feePreset, setFeePreset] = useState(currentSettings?.feePreset || FeePreset.AUTO);
+  const [maxFeePerGas, setMaxFeePerGas] = useState(currentSettings?.maxFeePerGas || "");
+  const [maxPriorityFeePerGas, setMaxPriorityFeePerGas] = useState(currentSettings?.maxPriorityFeePerGas || "");
+  const [gasLimit, setGasLimit] = useState(currentSettings?.gasLimit || "");
+  const [nonce, setNonce] = useState(currentSettings?.nonce ?? "");
+  const [feePresets, setFeePresets] = useState(null);
+
+  /**
+   * Pair Slippage State
+   * 
+   * pairPresets: Remembered presets, keyed by getPairKey
+   * pairSlippage: The preset being edited for the pair currently being
+   * swapped; empty means the pair uses the default slippage
+   */
+  const [pairPresets, setPairPresets] = useState(currentSettings?.pairSlippage || {});
+  const pairKey = currentPair ? getPairKey(...currentPair) : undefined;
+  const pairLabel = currentPair?.map((currency) => currency.symbol).join("/");
+  const [pairSlippage, setPairSlippage] = useState(pairPresets[pairKey]?.slippage ?? "");
+
+  useEffect(() => {
+    if (!showAdvanced) return;
+    let cancelled = false;
+    fetchFeePresets(publicClient)
+      .then((presets) => !cancelled && setFeePresets(presets))
+      .catch((error) => console.log(error));
+    return () => {
+      cancelled = true;
+    };
+  }, [showAdvanced]);
+
+  /**
+   * Validation
+   * 
+   * Rerun on every render, so messages follow what is typed. The token
+   * override cap and the pair preset are checked here since they only exist
+   * in the modal. A default cap the current token can't use (e.g. too many
+   * decimals) is only a warning, as other tokens may still use it.
+   */
+  const { errors, warnings } = validateSettings({
+    slippage,
+    deadline,
+    maxHops,
+    maxResults,
+    approvalMode,
+    approvalCap,
+    feePreset,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    gasLimit,
+    nonce,
+  });
+  if (tokenKey && tokenOverrideMode === ApprovalMode.CUSTOM) {
+    const capError = validateApprovalCap(tokenOverrideCap, currentToken);
+    if (capError) errors.tokenOverrideCap = capError;
+  }
+  if (tokenKey && tokenOverrideMode === "default" && approvalMode === ApprovalMode.CUSTOM && !errors.approvalCap) {
+    const capError = validateApprovalCap(approvalCap, currentToken);
+    if (capError) warnings.approvalCap = `${capError}, so ${currentToken.symbol} will be approved for the exact amount`;
+  }
+  if (pairKey && String(pairSlippage).trim() !== "") {
+    const { error, warning } = validateSlippage(pairSlippage);
+    if (error) errors.pairSlippage = error;
+    if (warning) warnings.pairSlippage = warning;
+  }
+  const hasErrors = Object.keys(errors).length > 0;
+  const advancedOpen = showAdvanced || ADVANCED_FIELDS.some((field) => errors[field]);
+
+  /**
+   * Remove Pair Preset
+   * 
+   * Forgets a remembered pair slippage preset.
+   */
+  const removePairPreset = (key) => {
+    const { [key]: _removed, ...rest } = pairPresets;
+    setPairPresets(rest);
+    if (key === pairKey) setPairSlippage("");
+  };
+
+  /**
+   * Remove Override
+   * 
+   * Forgets a remembered per-token policy.
+   */
+  const removeOverride = (key) => {
+    const { [key]: _removed, ...rest } = overrides;
+    setOverrides(rest);
+    if (key === tokenKey) setTokenOverrideMode("default");
+  };
+
   /**
    * Handle Save Settings
    * 
-   * Saves the current form values and closes the modal
+   * Saves the current form values and closes the modal. Nothing is saved
+   * while a field has an error, so no empty or NaN value reaches the settings.
    */
   const handleSave = () => {
+    if (hasErrors) return;
+
+    // Fold the edited token override into the remembered overrides
+    const approvalOverrides = { ...overrides };
+    if (tokenKey) {
+      if (tokenOverrideMode === "default") {
+        delete approvalOverrides[tokenKey];
+      } else {
+        approvalOverrides[tokenKey] = { mode: tokenOverrideMode, cap: tokenOverrideCap, symbol: currentToken.symbol };
+      }
+    }
+
+    // Fold the edited pair preset into the remembered presets
+    const pairSlippagePresets = { ...pairPresets };
+    if (pairKey) {
+      if (String(pairSlippage).trim() === "") {
+        delete pairSlippagePresets[pairKey];
+      } else {
+        pairSlippagePresets[pairKey] = { slippage: Number(pairSlippage), label: pairLabel };
+      }
+    }
+
     onSaveSettings({
-      slippage: parseFloat(slippage),
-      deadline: parseInt(deadline)
+      ...currentSettings,
+      slippage: Number(slippage),
+      deadline: Number(deadline),
+      maxHops: Number(maxHops),
+      maxResults: Number(maxResults),
+      approvalMode,
+      approvalCap,
+      approvalOverrides,
+      expertMode,
+      feePreset,
+      maxFeePerGas: maxFeePerGas.trim(),
+      maxPriorityFeePerGas: maxPriorityFeePerGas.trim(),
+      gasLimit: gasLimit.trim(),
+      nonce: nonce.trim(),
+      pairSlippage: pairSlippagePresets
     });
     onClose();
   };
@@ -113,7 +344,7 @@ export default function SettingsModal({ onClose, currentSettings, onSaveSettings
        * 
        * This creates the actual modal dialog box with proper spacing and styling.
        */}
-      <div className="bg-white rounded-2xl p-6 w-80">
+      <div className="bg-white rounded-2xl p-6 w-80 max-h-[90vh] overflow-y-auto">
         {/**
          * Modal Header
          * 
@@ -158,7 +389,46 @@ export default function SettingsModal({ onClose, currentSettings, onSaveSettings
               value={slippage}
               onChange={(e) => setSlippage(e.target.value)}
             />
+            <FieldMessage error={errors.slippage} warning={warnings.slippage} />
           </div>
+
+          {/**
+           * Pair Slippage Preset
+           * 
+           * Only offered when opened from the swap card, for the pair being swapped.
+           */}
+          {pairKey && (
+            <div>
+              <label className="text-sm text-gray-600">
+                Slippage for {pairLabel} (%)
+              </label>
+              <input
+                type="text"
+                inputMode="decimal"
+                className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                placeholder="Use default"
+                value={pairSlippage}
+                onChange={(e) => setPairSlippage(e.target.value)}
+              />
+              <FieldMessage error={errors.pairSlippage} warning={warnings.pairSlippage} />
+            </div>
+          )}
+
+          {Object.keys(pairPresets).length > 0 && (
+            <div className="text-xs text-gray-600 space-y-1">
+              <div>Pair slippage presets</div>
+              {Object.entries(pairPresets).map(([key, preset]) => (
+                <div key={key} className="flex justify-between">
+                  <span>
+                    {preset.label ?? key}: {preset.slippage}%
+                  </span>
+                  <button onClick={() => removePairPreset(key)} className="text-red-500 hover:underline">
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
           
           {/**
            * Transaction Deadline Input Field
@@ -176,6 +446,254 @@ export default function SettingsModal({ onClose, currentSettings, onSaveSettings
               value={deadline}
               onChange={(e) => setDeadline(e.target.value)}
             />
+            <FieldMessage error={errors.deadline} />
+          </div>
+
+          {/**
+           * Routing Limits Input Fields
+           * 
+           * Control the multi-hop route search used when quoting a trade.
+           */}
+          <div className="flex space-x-3">
+            <div className="flex-1">
+              <label className="text-sm text-gray-600">
+                Max Hops
+              </label>
+              <input
+                type="number"
+                min="1"
+                className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                value={maxHops}
+                onChange={(e) => setMaxHops(e.target.value)}
+              />
+              <FieldMessage error={errors.maxHops} />
+            </div>
+            <div className="flex-1">
+              <label className="text-sm text-gray-600">
+                Max Routes
+              </label>
+              <input
+                type="number"
+                min="1"
+                className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                value={maxResults}
+                onChange={(e) => setMaxResults(e.target.value)}
+              />
+              <FieldMessage error={errors.maxResults} />
+            </div>
+          </div>
+
+          {/**
+           * Approval Policy Fields
+           * 
+           * Default policy for all tokens, then an optional override for the
+           * token currently being sold, then the remembered overrides.
+           */}
+          <div>
+            <label className="text-sm text-gray-600">
+              Token Approvals
+            </label>
+            <select
+              className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+              value={approvalMode}
+              onChange={(e) => setApprovalMode(e.target.value)}
+            >
+              {APPROVAL_MODE_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+            {approvalMode === ApprovalMode.CUSTOM && (
+              <input
+                type="text"
+                inputMode="decimal"
+                className="mt-2 w-full border border-gray-400 rounded-lg p-2"
+                placeholder="Cap in token units"
+                value={approvalCap}
+                onChange={(e) => setApprovalCap(e.target.value)}
+              />
+            )}
+            <FieldMessage error={errors.approvalCap} warning={warnings.approvalCap} />
+            {approvalMode === ApprovalMode.UNLIMITED && (
+              <p className="mt-1 text-xs text-yellow-700">
+                The router can spend any amount of an approved token until you revoke it.
+              </p>
+            )}
+          </div>
+
+          {currentToken && (
+            <div>
+              <label className="text-sm text-gray-600">
+                Override for {currentToken.symbol}
+              </label>
+              <select
+                className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                value={tokenOverrideMode}
+                onChange={(e) => setTokenOverrideMode(e.target.value)}
+              >
+                <option value="default">Use default</option>
+                {APPROVAL_MODE_OPTIONS.map(({ value, label }) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {tokenOverrideMode === ApprovalMode.CUSTOM && (
+                <input
+                  type="text"
+                  inputMode="decimal"
+                  className="mt-2 w-full border border-gray-400 rounded-lg p-2"
+                  placeholder={`Cap in ${currentToken.symbol}`}
+                  value={tokenOverrideCap}
+                  onChange={(e) => setTokenOverrideCap(e.target.value)}
+                />
+              )}
+              <FieldMessage error={errors.tokenOverrideCap} />
+            </div>
+          )}
+
+          {Object.keys(overrides).length > 0 && (
+            <div className="text-xs text-gray-600 space-y-1">
+              <div>Remembered overrides</div>
+              {Object.entries(overrides).map(([key, override]) => (
+                <div key={key} className="flex justify-between">
+                  <span>
+                    {override.symbol ?? key}: {override.mode}{override.mode === ApprovalMode.CUSTOM ? ` (${override.cap})` : ""}
+                  </span>
+                  <button onClick={() => removeOverride(key)} className="text-red-500 hover:underline">
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {/**
+           * Expert Mode Toggle
+           * 
+           * Turning it on asks for confirmation, since it removes a safety check.
+           */}
+          <div>
+            <label className="flex items-center space-x-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={expertMode}
+                onChange={(e) => {
+                  if (e.target.checked && !window.confirm("Expert mode allows swaps with very high price impact, which can lose most of their value. Turn it on?")) return;
+                  setExpertMode(e.target.checked);
+                }}
+              />
+              <span>Expert mode</span>
+            </label>
+            {expertMode && (
+              <p className="mt-1 text-xs text-red-600">
+                High price impact swaps are no longer blocked or confirmed.
+              </p>
+            )}
+          </div>
+
+          {/**
+           * Advanced Transaction Fields
+           * 
+           * Collapsed by default. Presets show the fees they would use right now;
+           * the values are read again from the fee history when sending.
+           */}
+          <div>
+            <button
+              type="button"
+              onClick={() => setShowAdvanced(!advancedOpen)}
+              className="text-sm text-blue-500 hover:underline"
+            >
+              {advancedOpen ? "Hide advanced" : "Advanced"}
+            </button>
+            {advancedOpen && (
+              <div className="mt-2 space-y-3">
+                <div>
+                  <label className="text-sm text-gray-600">
+                    Network Fee
+                  </label>
+                  <select
+                    className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                    value={feePreset}
+                    onChange={(e) => setFeePreset(e.target.value)}
+                  >
+                    {FEE_PRESET_OPTIONS.map(({ value, label }) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  {feePresets?.[feePreset] && (
+                    <p className="mt-1 text-xs text-gray-500">
+                      Max fee {formatGwei(feePresets[feePreset].maxFeePerGas)} gwei, priority fee{" "}
+                      {formatGwei(feePresets[feePreset].maxPriorityFeePerGas)} gwei
+                    </p>
+                  )}
+                </div>
+
+                {feePreset === FeePreset.CUSTOM && (
+                  <div className="flex space-x-3">
+                    <div className="flex-1">
+                      <label className="text-xs text-gray-600">
+                        Max Fee (gwei)
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                        value={maxFeePerGas}
+                        onChange={(e) => setMaxFeePerGas(e.target.value)}
+                      />
+                      <FieldMessage error={errors.maxFeePerGas} />
+                    </div>
+                    <div className="flex-1">
+                      <label className="text-xs text-gray-600">
+                        Priority Fee (gwei)
+                      </label>
+                      <input
+                        type="text"
+                        inputMode="decimal"
+                        className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                        value={maxPriorityFeePerGas}
+                        onChange={(e) => setMaxPriorityFeePerGas(e.target.value)}
+                      />
+                      <FieldMessage error={errors.maxPriorityFeePerGas} />
+                    </div>
+                  </div>
+                )}
+
+                <div className="flex space-x-3">
+                  <div className="flex-1">
+                    <label className="text-xs text-gray-600">
+                      Gas Limit
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                      placeholder="Estimate"
+                      value={gasLimit}
+                      onChange={(e) => setGasLimit(e.target.value)}
+                    />
+                    <FieldMessage error={errors.gasLimit} />
+                  </div>
+                  <div className="flex-1">
+                    <label className="text-xs text-gray-600">
+                      Nonce
+                    </label>
+                    <input
+                      type="text"
+                      inputMode="numeric"
+                      className="mt-1 w-full border border-gray-400 rounded-lg p-2"
+                      placeholder="Next"
+                      value={nonce}
+                      onChange={(e) => setNonce(e.target.value)}
+                    />
+                    <FieldMessage error={errors.nonce} />
+                  </div>
+                </div>
+                {nonce.trim() !== "" && (
+                  <p className="text-xs text-yellow-700">
+                    The nonce is used for the next transaction only. Reusing a pending transaction's nonce replaces it.
+                  </p>
+                )}
+              </div>
+            )}
           </div>
         </div>
         
@@ -209,7 +727,8 @@ export default function SettingsModal({ onClose, currentSettings, onSaveSettings
            */}
           <button
             onClick={handleSave}
-            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition"
+            disabled={hasErrors}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
           >
             Save
           </button>
@@ -21,12 +21,13 @@
  */
 
 // React core imports
-import React, { useState } from "react";
+import React, { useMemo, useRef, useState } from "react";
 
 // Component imports - building the UI through composition
 import TokenSelector from "./TokenSelector.jsx";
 import ConnectWalletButton from "./ConnectWalletButton.jsx";
 import SettingsModal from "./SettingsModal.jsx";
+import SwapReviewModal from "./SwapReviewModal.jsx";
 
 // Icon import from Heroicons for the swap button
 import { ArrowsUpDownIcon } from "@heroicons/react/24/outline";
@@ -40,30 +41,89 @@ import { useEffect } from "react";
 
 // Viem utilities for Ethereum interactions
 // Viem is a TypeScript interface for Ethereum that works with Wagmi
-import { createPublicClient, erc20Abi, formatEther, formatUnits, http, parseEther } from "viem";
+import { erc20Abi } from "viem";
 
 // Uniswap SDK Core for token definitions and trade calculations
-import { ChainId, CurrencyAmount, Percent, Token, TradeType, WETH9 } from "@uniswap/sdk-core";
+import { Percent, TradeType } from "@uniswap/sdk-core";
 
-// Uniswap V2 SDK for pair, route, and trade logic
-import { Pair, Route, Trade } from "@uniswap/v2-sdk";
+// Shared public client for the local fork
+import { publicClient as client } from "../utils/client.js";
 
-// Custom network configuration
-import { anvilFork } from "../providers/AppkitProvider.jsx";
+// Shared token and contract constants
+import { DAI, ETHER, ROUTER_ADDRESS } from "../constants/tokens.js";
+
+// Multi-hop routing across base tokens
+import { findBestTradesExactIn, findBestTradesExactOut } from "../utils/routing.js";
+
+// Factory lookup, to tell a missing pool from one without enough liquidity
+import { fetchPairAddress } from "../utils/pairs.js";
+
+// Router02 call construction for every ETH/ERC-20 combination
+import { buildSwapCall } from "../utils/swap.js";
+
+// Transaction manager for the approve and swap transactions
+import { useTransactions } from "../hooks/useTransactions.js";
+import { isPending, TxStatus, wentThrough } from "../utils/transactions.js";
+import { AmountRole, toHistoryAmount, TxType } from "../utils/history.js";
+
+// Explanations for reverts found by the pre-flight simulation
+import { explainRevert } from "../utils/revertReasons.js";
+
+// Network cost of the approve and swap calls, re-estimated every block, and
+// the fees, gas limit and nonce from the advanced settings
+import { useNetworkCost } from "../hooks/useNetworkCost.js";
+import { APPROVE_GAS_FALLBACK, formatNetworkCost, getTransactionOverrides, swapGasFallback } from "../utils/gas.js";
+
+// Fee-on-transfer token detection
+import { getTradeTransferTax } from "../utils/feeOnTransfer.js";
+
+// Decimal-aware parsing and formatting of token amounts
+import { formatAmount, formatRawAmount, parseAmount, toRawAmount } from "../utils/amounts.js";
+
+// Allowance tracking and the approve step
+import { ApprovalState, useApproval } from "../hooks/useApproval.js";
+
+// Exact / unlimited / capped approval policy
+import { describeApproval, getApprovalAmount, getApprovalPolicy } from "../utils/approvalPolicy.js";
+
+// Price impact tiers
+import { formatPriceImpact, getPriceImpactSeverity, PRICE_IMPACT_COLORS, PriceImpactSeverity } from "../utils/priceImpact.js";
+
+// Settings shared with the liquidity pages
+import { useSettings } from "../hooks/useSettings.js";
+import { getDeadline, getEffectiveSlippage, getPairKey, getSlippageTolerance as toSlippageTolerance } from "../utils/settings.js";
 
 // Uniswap V2 smart contract ABIs (Application Binary Interfaces)
 // ABIs define how to interact with smart contracts
-import IUniswapV2PairABI from "@uniswap/v2-periphery/build/IUniswapV2Pair.json"
 import IUniswapV2RouterABI from "@uniswap/v2-periphery/build/IUniswapV2Router02.json"
 
 /**
- * DAI Token Contract Address
+ * How often the quote is refreshed while the review modal is open (ms)
+ */
+const QUOTE_REFRESH_MS = 10000
+
+/**
+ * Quote Changed
  * 
- * This is the mainnet address for the DAI stablecoin contract.
- * DAI is a decentralized stablecoin pegged to the US Dollar.
- * Contract addresses are unique identifiers for smart contracts on Ethereum.
+ * Whether a fresh quote trades different amounts than the reviewed one.
  */
-const daiAddress = "0x6B175474E89094C44Da98b954EedeAC495271d0F";
+const quoteChanged = (reviewed, next) =>
+  !next.trade.inputAmount.equalTo(reviewed.trade.inputAmount) ||
+  !next.trade.outputAmount.equalTo(reviewed.trade.outputAmount)
+
+/**
+ * No Route Error
+ * 
+ * Thrown when the typed amount can't be routed, as opposed to a failed
+ * request to the node. missingPool is set when the factory has no pair for
+ * the two tokens, so the user can be sent to create it.
+ */
+class NoRouteError extends Error {
+  constructor(message, missingPool = false) {
+    super(message)
+    this.missingPool = missingPool
+  }
+}
 
 /**
  * SwapCard Functional Component
@@ -71,8 +131,14 @@ const daiAddress = "0x6B175474E89094C44Da98b954EedeAC495271d0F";
  * The main component that orchestrates the token swapping interface and logic.
  * This component manages all the state, handles user interactions, and coordinates
  * with smart contracts to execute token swaps.
+ * 
+ * @param {Object} props - The component props
+ * @param {Currency[]} [props.initialCurrencies] - [from, to] currencies to start
+ *   with, e.g. a pair opened from the pool explorer (defaults to ETH -> DAI)
+ * @param {Function} [props.onOpenPair] - Called with (currencyA, currencyB, page)
+ *   to open a pair on another page, e.g. to create a missing pool
  */
-export default function SwapCard() {
+export default function SwapCard({ initialCurrencies = [ETHER, DAI], onOpenPair }) {
   /**
    * State Management Section
    * 
@@ -85,216 +151,679 @@ export default function SwapCard() {
    * From Token State
    * 
    * Manages the token being swapped FROM (input token).
-   * Contains symbol (token identifier) and balance (user's holdings).
-   * Initially set to ETH with a placeholder balance.
+   * Contains symbol (token identifier), balance (user's holdings) and
+   * currency (the sdk-core Token, or native Ether).
+   * Initially set to the first initial currency (ETH by default).
    */
   const [fromToken, setFromToken] = useState({
-    symbol: "ETH",
-    balance: "1.234", // Will be updated with real balance from blockchain
+    symbol: initialCurrencies[0].symbol,
+    balance: "0", // Will be updated with real balance from blockchain
+    currency: initialCurrencies[0]
   });
   
   /**
    * To Token State
    * 
    * Manages the token being swapped TO (output token).
-   * Initially set to DAI stablecoin.
+   * Initially set to the second initial currency (DAI by default).
    */
   const [toToken, setToToken] = useState({ 
-    symbol: "DAI", 
-    balance: "1000" // Will be updated with real balance from blockchain
+    symbol: initialCurrencies[1].symbol, 
+    balance: "0", // Will be updated with real balance from blockchain
+    currency: initialCurrencies[1]
   });
   
   /**
    * Amount State Variables
    * 
-   * These manage the input and calculated output amounts for the swap.
-   * fromAmount: User-entered amount to swap
-   * toAmount: Calculated amount user will receive (based on current prices)
+   * These manage the input and output amounts for the swap.
+   * fromAmount: Amount to sell (entered, or quoted in exact output mode)
+   * toAmount: Amount to receive (quoted, or entered in exact output mode)
+   * tradeType: Which side the user typed into
+   *   - EXACT_INPUT: "From" is fixed, "To" is the quoted output
+   *   - EXACT_OUTPUT: "To" is fixed, "From" is the quoted required input
    */
   const [fromAmount, setFromAmount] = useState("");
   const [toAmount, setToAmount] = useState("");
+  const [tradeType, setTradeType] = useState(TradeType.EXACT_INPUT);
+
+  /**
+   * Amount Input Error
+   * 
+   * Message shown under the inputs when the typed amount can't be used,
+   * e.g. more decimal places than the token supports.
+   */
+  const [amountError, setAmountError] = useState("");
+
+  /**
+   * Quote Error
+   * 
+   * Why the typed amount has no quote: { message, missingPool } or null.
+   * Covers a pool that doesn't exist (with a link to create it), too little
+   * liquidity and failed requests to the node.
+   */
+  const [quoteError, setQuoteError] = useState(null);
   
   /**
    * UI State Variables
    * 
    * showSettings: Controls visibility of the settings modal
-   * isSwappingFromEth: Tracks which direction the swap is going
-   *   - true: ETH -> DAI
-   *   - false: DAI -> ETH
    */
   const [showSettings, setShowSettings] = useState(false);
-  const [isSwappingFromEth, setIsSwappingFromEth] = useState(true)
 
   /**
-   * Settings State
+   * Settings
    * 
-   * Manages trading parameters that can be configured by the user:
+   * Trading parameters configured in the settings modal, shared with the
+   * liquidity pages through SettingsProvider:
    * - slippage: Maximum acceptable price slippage as a percentage
    * - deadline: Transaction deadline in minutes
+   * - maxHops: Maximum number of pairs a routed trade may pass through
+   * - maxResults: Number of candidate routes the router keeps while searching
+   * - approvalMode / approvalCap: Default approval policy (exact, unlimited or capped)
+   * - approvalOverrides: Per-token approval policies, remembered across reloads
+   * - feePreset, maxFeePerGas, maxPriorityFeePerGas, gasLimit, nonce: Advanced
+   *   transaction parameters passed to the wallet with the approve and swap
+   * - pairSlippage: Slippage presets that replace the default for one token pair
    */
-  const [settings, setSettings] = useState({
-    slippage: 0.5, // 0.5% default slippage tolerance
-    deadline: 20   // 20 minutes default deadline
-  });
+  const { settings, saveSettings, clearNonce } = useSettings();
+
+  /**
+   * Current Trade State
+   * 
+   * The best trade found for the entered amount. Its route is shown below the
+   * inputs and its path is what gets sent to the router.
+   */
+  const [trade, setTrade] = useState(null);
+
+  /**
+   * Transfer Tax State
+   * 
+   * Fee-on-transfer taxes detected along the current trade's path:
+   * { tax: Percent, taxedTokens: [{ token, feeBps }] }. A non-zero tax
+   * lowers the quote and switches to the fee-on-transfer router methods.
+   */
+  const [transferTax, setTransferTax] = useState(null);
+
+  /**
+   * Review State
+   * 
+   * review: The quote shown in the review modal (see buildSwapTransaction), or null
+   * updatedReview: A newer quote found while reviewing, waiting to be accepted
+   */
+  const [review, setReview] = useState(null);
+  const [updatedReview, setUpdatedReview] = useState(null);
+
+  /**
+   * Simulation State
+   * 
+   * simulating: The reviewed call is being simulated before opening the wallet
+   * simulationError: Why the simulation reverted, from explainRevert, or null
+   */
+  const [simulating, setSimulating] = useState(false);
+  const [simulationError, setSimulationError] = useState(null);
+
+  /**
+   * Swap Error
+   * 
+   * Why the last swap attempt stopped before reaching the wallet, shown
+   * under the Swap button. Transaction outcomes are reported by toasts.
+   */
+  const [swapError, setSwapError] = useState("");
+
+  /**
+   * Latest Quote Request
+   * 
+   * Bumped for every typed amount and token change. A quote that resolves
+   * after a newer request was made is dropped, so a slow response can't
+   * overwrite the amount quoted for newer input.
+   */
+  const latestQuoteRequest = useRef(0);
 
   const handleSwap = () => {
+    latestQuoteRequest.current += 1
     setFromToken(toToken);
     setToToken(fromToken);
     setFromAmount(toAmount);
     setToAmount(fromAmount);
-    setIsSwappingFromEth(!isSwappingFromEth)
+    // The typed amount moves to the other side, so the fixed side flips too
+    setTradeType(tradeType === TradeType.EXACT_INPUT ? TradeType.EXACT_OUTPUT : TradeType.EXACT_INPUT)
+    setTrade(null)
+    setTransferTax(null)
+    setAmountError("")
+    setQuoteError(null)
   };
 
+  /**
+   * Handle Token Selection
+   * 
+   * Called with the currency picked in a TokenSelector's modal. Picking the
+   * token already on the other side flips the two sides instead. Otherwise
+   * the amounts and quote are cleared, since they belong to the old token;
+   * the balance is refreshed by the balance effect below.
+   */
+  const handleSelectToken = (side, currency) => {
+    const [current, other] = side === "from" ? [fromToken, toToken] : [toToken, fromToken]
+    if (current.currency.equals(currency)) return
+    if (other.currency.equals(currency)) {
+      handleSwap()
+      return
+    }
+    latestQuoteRequest.current += 1
+    const setToken = side === "from" ? setFromToken : setToToken
+    setToken({ symbol: currency.symbol, balance: "0", currency })
+    setFromAmount("")
+    setToAmount("")
+    setTrade(null)
+    setTransferTax(null)
+    setAmountError("")
+    setQuoteError(null)
+  }
+
   const { writeContractAsync } = useWriteContract()
 
+  /**
+   * Transaction Manager
+   * 
+   * Sends the approve and swap transactions and tracks them. The Swap button
+   * stays disabled while a swap is in flight; once it is mined, confirming
+   * doesn't hold up the next one.
+   */
+  const { transactions, runTransaction } = useTransactions()
+  const swapInFlight = transactions.some(
+    (tx) => tx.type === TxType.SWAP && isPending(tx.status) && tx.status !== TxStatus.CONFIRMING
+  )
+
+
   const { address } = useAccount()
 
-  const { data: nativeBalance, isFetched: isFetchedNative } = useBalance({
+  const { data: nativeBalance } = useBalance({
     address: address
   })
 
-  const { data: erc20Balance, isFetched: isFetchedErc20 } = useReadContract({
+  /**
+   * ERC-20 Balances
+   * 
+   * balanceOf is read for whichever side holds an ERC-20; the query is
+   * disabled for the native ETH side, which comes from useBalance above.
+   */
+  const { data: fromErc20Balance } = useReadContract({
     abi: erc20Abi,
-    address: daiAddress,
+    address: fromToken.currency.isNative ? undefined : fromToken.currency.address,
     functionName: 'balanceOf',
-    args: [address]
+    args: [address],
+    query: { enabled: Boolean(address) && !fromToken.currency.isNative }
   })
 
-  const WETH = WETH9[ChainId.MAINNET];
-  const DAI = new Token(ChainId.MAINNET, daiAddress, 18, "DAI", "Dai Stablecoin")
-
-  const client = createPublicClient({
-    chain: [anvilFork],
-    transport: http(anvilFork.rpcUrls.default.http)
+  const { data: toErc20Balance } = useReadContract({
+    abi: erc20Abi,
+    address: toToken.currency.isNative ? undefined : toToken.currency.address,
+    functionName: 'balanceOf',
+    args: [address],
+    query: { enabled: Boolean(address) && !toToken.currency.isNative }
   })
 
-  const fetchPairReserves = async (tokenA, tokenB) => {
-    const pairAddress = Pair.getAddress(tokenA, tokenB)
-    const reserves = await client.readContract({
-      address: pairAddress,
-      abi: IUniswapV2PairABI.abi,
-      functionName: 'getReserves'
-    })
-    console.log("Reserves: ", reserves)
-    return reserves
+  /**
+   * Fetch Route and Trade
+   * 
+   * Loads every pair between the input, output and base tokens and picks the
+   * best route, honoring the max hops / max results settings.
+   * 
+   * - EXACT_INPUT: amount is the input, otherToken is the output token
+   * - EXACT_OUTPUT: amount is the desired output, otherToken is the input token
+   * 
+   * The route is also checked for fee-on-transfer tokens. Without a route,
+   * the factory tells whether the direct pool is missing or just too small.
+   */
+  const fetchRouteAndTrade = async (amount, otherToken, type = TradeType.EXACT_INPUT) => {
+    const options = {
+      maxHops: settings.maxHops,
+      maxResults: settings.maxResults
+    }
+    const [trade] = type === TradeType.EXACT_INPUT
+      ? await findBestTradesExactIn(client, amount, otherToken, options)
+      : await findBestTradesExactOut(client, otherToken, amount, options)
+    if (!trade) {
+      const [tokenA, tokenB] = [amount.currency.wrapped, otherToken.wrapped]
+      if (!tokenA.equals(tokenB) && !(await fetchPairAddress(client, tokenA, tokenB))) {
+        throw new NoRouteError(`No ${fromToken.symbol}/${toToken.symbol} pool`, true)
+      }
+      throw new NoRouteError("Not enough liquidity to swap this amount")
+    }
+    const transferTax = await getTradeTransferTax(client, trade)
+    return { trade, transferTax, rate: trade.executionPrice.toSignificant(6), priceImpact: trade.priceImpact }
   }
 
-  const getPairObject = async () => {
-    const tokens = [DAI, WETH]
+  /**
+   * Slippage Tolerance
+   * 
+   * The slippage percentage from settings as an sdk Percent, or the current
+   * pair's preset if it has one.
+   */
+  const currentPair = [fromToken.currency, toToken.currency]
+  const getSlippageTolerance = () => toSlippageTolerance(settings, currentPair)
+  const hasPairSlippage = Boolean(settings.pairSlippage?.[getPairKey(...currentPair)])
 
-    const [token0, token1] = tokens[0].sortsBefore(tokens[1]) ? tokens : [token1, token0]
+  /**
+   * Apply Transfer Tax
+   * 
+   * Reduces an output amount by the fee-on-transfer tax along the route.
+   */
+  const afterTransferTax = (amount, tax) => {
+    return tax?.greaterThan(0) ? amount.multiply(new Percent(1, 1).subtract(tax)) : amount
+  }
 
-    const reserves = await fetchPairReserves(token0, token1)
+  /**
+   * Router Allowance
+   * 
+   * The most the current trade can spend (the input for exact input trades,
+   * the slippage-adjusted maximum input for exact output trades) is compared
+   * against the router's allowance for the "From" token.
+   */
+  const requiredAllowance = trade ? toRawAmount(trade.maximumAmountIn(getSlippageTolerance())) : undefined
+  const { approvalState, approve, refetchAllowance } = useApproval({
+    currency: fromToken.currency,
+    amount: requiredAllowance
+  })
+  const needsApproval = approvalState === ApprovalState.NOT_APPROVED || approvalState === ApprovalState.PENDING
 
-    const currencyAmount0 = CurrencyAmount.fromRawAmount(token0, reserves[0].toString())
-    const currencyAmount1 = CurrencyAmount.fromRawAmount(token1, reserves[1].toString())
+  /**
+   * Approval Policy
+   * 
+   * How much the approve step will ask for, from the settings' default policy
+   * or the token's override. Described next to the button before signing.
+   */
+  const approvalPolicy = fromToken.currency.isNative ? null : getApprovalPolicy(settings, fromToken.currency)
+  const approvalAmount = approvalPolicy && requiredAllowance !== undefined
+    ? getApprovalAmount(approvalPolicy, fromToken.currency, requiredAllowance)
+    : undefined
 
-    const pair = new Pair(currencyAmount0, currencyAmount1)
+  /**
+   * Price Impact Tier
+   * 
+   * Colors the price impact and, at the blocked tier, disables the Swap
+   * button unless expert mode is on.
+   */
+  const priceImpactSeverity = trade ? getPriceImpactSeverity(trade.priceImpact) : PriceImpactSeverity.LOW
+  const priceImpactBlocked = priceImpactSeverity === PriceImpactSeverity.BLOCKED && !settings.expertMode
 
-    return pair;
-  }
 
-  const fetchRouteAndTrade = async (inputAmount, inputToken, outputToken) => {
-    const pair = await getPairObject()
-    const route = new Route([pair], inputToken, outputToken)
-    const trade = new Trade(route, inputAmount, TradeType.EXACT_INPUT)
-    console.log(trade.executionPrice.toSignificant(6))
-    return { trade, rate: trade.executionPrice.toSignificant(6) }
-  }
+  /**
+   * Network Cost
+   * 
+   * The calls the next steps will send, re-estimated on every block: the
+   * approve while one is needed, then the swap for the current trade. While
+   * the review modal is open it is exactly the reviewed call. A swap can't be
+   * simulated before its token is approved, so until then its typical gas is
+   * used instead.
+   */
+  const gasCalls = useMemo(() => {
+    if (!address) return []
+    let call = review?.call
+    if (!call) {
+      if (!trade) return []
+      try {
+        call = buildSwapCall(trade, {
+          slippageTolerance: toSlippageTolerance(settings, [trade.inputAmount.currency, trade.outputAmount.currency]),
+          recipient: address,
+          deadline: getDeadline(settings),
+          transferTax: transferTax?.tax
+        })
+      }
+      catch {
+        return []
+      }
+    }
+    const calls = [{
+      request: {
+        account: address,
+        address: ROUTER_ADDRESS,
+        abi: IUniswapV2RouterABI.abi,
+        functionName: call.functionName,
+        args: call.args,
+        value: call.value
+      },
+      fallbackGas: swapGasFallback(call.path.length - 1)
+    }]
+    if (!review && needsApproval && approvalAmount !== undefined) {
+      calls.unshift({
+        request: {
+          account: address,
+          address: fromToken.currency.address,
+          abi: erc20Abi,
+          functionName: "approve",
+          args: [ROUTER_ADDRESS, approvalAmount]
+        },
+        fallbackGas: APPROVE_GAS_FALLBACK
+      })
+    }
+    return calls
+  }, [address, review, trade, transferTax, settings, needsApproval, approvalAmount, fromToken.currency])
+  const networkCost = useNetworkCost(gasCalls, settings)
 
 
   useEffect(() => {
-    console.log(nativeBalance, erc20Balance)
-    if (isFetchedNative) {
-      setFromToken((prev) => {
-        return { ...prev, balance: formatUnits(nativeBalance.value, nativeBalance.decimals) }
-      })
+    const withBalance = (erc20Balance) => (prev) => {
+      const raw = prev.currency.isNative ? nativeBalance?.value : erc20Balance
+      return raw === undefined ? prev : { ...prev, balance: formatRawAmount(raw, prev.currency) }
     }
-    if (isFetchedErc20) {
-      setToToken((prev) => {
-        return { ...prev, balance: formatEther(erc20Balance) }
-      })
+    setFromToken(withBalance(fromErc20Balance))
+    setToToken(withBalance(toErc20Balance))
+  }, [nativeBalance, fromErc20Balance, toErc20Balance, fromToken.currency, toToken.currency])
+
+  /**
+   * Clear Quote
+   * 
+   * Resets the quoted side and the current trade, e.g. when the typed amount
+   * is empty, invalid or has no route.
+   */
+  const clearQuote = (setQuotedAmount) => {
+    setQuotedAmount("")
+    setTrade(null)
+    setTransferTax(null)
+  }
+
+  /**
+   * Show Quote Error
+   * 
+   * Routing messages are shown as they are; anything else is a failed
+   * request, so an unreachable node isn't mistaken for a missing pool.
+   */
+  const showQuoteError = (error) => {
+    if (error instanceof NoRouteError) {
+      setQuoteError({ message: error.message, missingPool: error.missingPool })
+      return
     }
-  }, [nativeBalance, erc20Balance])
+    console.log(error)
+    setQuoteError({ message: `Couldn't get a quote: ${error.shortMessage ?? error.message}`, missingPool: false })
+  }
+
+  /**
+   * Parse Typed Amount
+   * 
+   * Parses an amount with the token's decimals and reports invalid input
+   * inline. Returns null when there is nothing to quote.
+   */
+  const parseTypedAmount = (amount, currency) => {
+    try {
+      const parsed = parseAmount(amount, currency)
+      setAmountError("")
+      return parsed
+    }
+    catch (error) {
+      setAmountError(error.message)
+      return null
+    }
+  }
 
   const handleAmountChange = async (amount) => {
+    const request = ++latestQuoteRequest.current
+    setFromAmount(amount)
+    setTradeType(TradeType.EXACT_INPUT)
+    setQuoteError(null)
+    const inputAmount = parseTypedAmount(amount, fromToken.currency)
+    if (!inputAmount) {
+      clearQuote(setToAmount)
+      return
+    }
     try {
-      let inputToken, outputToken
-      inputToken = isSwappingFromEth ? WETH : DAI
-      outputToken = isSwappingFromEth ? DAI : WETH
-      let { trade, rate } = await fetchRouteAndTrade(CurrencyAmount.fromRawAmount(inputToken, parseEther(amount).toString()), inputToken, outputToken)
-      setFromAmount(amount)
-      setToAmount(rate * parseFloat(amount))
+      const outputToken = toToken.currency
+      let { trade, transferTax } = await fetchRouteAndTrade(inputAmount, outputToken)
+      if (request !== latestQuoteRequest.current) return
+      // Quote what actually arrives after any transfer taxes
+      setToAmount(formatAmount(afterTransferTax(trade.outputAmount, transferTax.tax)))
+      setTrade(trade)
+      setTransferTax(transferTax)
     }
-    catch {
-      setFromAmount(amount)
-      setToAmount(0)
+    catch (error) {
+      if (request !== latestQuoteRequest.current) return
+      clearQuote(setToAmount)
+      showQuoteError(error)
     }
   }
 
+  /**
+   * Handle Output Amount Change
+   * 
+   * Typing into the "To" field switches to exact output mode: the desired
+   * output is fixed and the required input is quoted into the "From" field.
+   */
+  const handleOutputAmountChange = async (amount) => {
+    const request = ++latestQuoteRequest.current
+    setToAmount(amount)
+    setTradeType(TradeType.EXACT_OUTPUT)
+    setQuoteError(null)
+    const outputAmount = parseTypedAmount(amount, toToken.currency)
+    if (!outputAmount) {
+      clearQuote(setFromAmount)
+      return
+    }
+    try {
+      const inputToken = fromToken.currency
+      let { trade, transferTax } = await fetchRouteAndTrade(outputAmount, inputToken, TradeType.EXACT_OUTPUT)
+      if (request !== latestQuoteRequest.current) return
+      setFromAmount(formatAmount(trade.inputAmount))
+      setTrade(trade)
+      setTransferTax(transferTax)
+    }
+    catch (error) {
+      if (request !== latestQuoteRequest.current) return
+      clearQuote(setFromAmount)
+      showQuoteError(error)
+    }
+  }
+
+  /**
+   * Build Swap Transaction
+   * 
+   * Re-quotes the entered amount and builds the router call for it.
+   * 
+   * @returns {Promise<Object>} { trade, transferTax, call, deadline, recipient }
+   */
   const buildSwapTransaction = async () => {
-    let inputAmount, trade, inputToken, outputToken
-    inputToken = isSwappingFromEth ? WETH : DAI
-    outputToken = isSwappingFromEth ? DAI : WETH
-    inputAmount = CurrencyAmount.fromRawAmount(inputToken, parseEther(fromAmount.toString()).toString())
-    trade = await fetchRouteAndTrade(inputAmount, inputToken, outputToken)
-    
-    // Use slippage from settings instead of hardcoded value
-    // Convert percentage to basis points (e.g., 0.5% -> 50 basis points)
-    const slippageBasisPoints = Math.floor(settings.slippage * 100).toString()
-    const slippageTolerance = new Percent(slippageBasisPoints, "10000")
-    const amountOutMin = trade.trade.minimumAmountOut(slippageTolerance)
+    let quote
+    const inputToken = fromToken.currency
+    const outputToken = toToken.currency
+    if (tradeType === TradeType.EXACT_INPUT) {
+      const inputAmount = parseAmount(fromAmount, inputToken)
+      if (!inputAmount) throw new Error("Enter an amount")
+      quote = await fetchRouteAndTrade(inputAmount, outputToken)
+    }
+    else {
+      const outputAmount = parseAmount(toAmount, outputToken)
+      if (!outputAmount) throw new Error("Enter an amount")
+      quote = await fetchRouteAndTrade(outputAmount, inputToken, TradeType.EXACT_OUTPUT)
+    }
     
-    const swapParams = {
-      amountIn: parseEther(trade.trade.inputAmount.toExact()),
-      amountOutMin: parseEther(amountOutMin.toExact()),
-      path: isSwappingFromEth ? [WETH.address, DAI.address] : [DAI.address, WETH.address],
-      to: address,
-      // Use deadline from settings instead of hardcoded value
-      deadline: Math.floor(Date.now() / 1000 + 60 * settings.deadline)
+    // Use deadline from settings instead of hardcoded value
+    const deadline = getDeadline(settings)
+    // Router method and arguments are chosen from the trade's currencies and direction
+    const call = buildSwapCall(quote.trade, {
+      // Use slippage from settings instead of hardcoded value
+      slippageTolerance: getSlippageTolerance(),
+      recipient: address,
+      deadline,
+      // Taxed tokens switch to the SupportingFeeOnTransferTokens methods
+      transferTax: quote.transferTax.tax
+    })
+    return { trade: quote.trade, transferTax: quote.transferTax, call, deadline, recipient: address }
+  }
+
+  /**
+   * Refresh While Reviewing
+   * 
+   * The review modal re-quotes every QUOTE_REFRESH_MS. A quote with different
+   * amounts is held back until the user accepts it; one that matches the
+   * reviewed quote again clears the prompt. The ref always points at the
+   * latest buildSwapTransaction, so the interval sees current settings.
+   */
+  const buildSwapTransactionRef = useRef(buildSwapTransaction)
+  useEffect(() => {
+    buildSwapTransactionRef.current = buildSwapTransaction
+  })
+
+  useEffect(() => {
+    if (!review) return
+    const interval = setInterval(async () => {
+      try {
+        const next = await buildSwapTransactionRef.current()
+        setUpdatedReview(quoteChanged(review, next) ? next : null)
+      }
+      catch (error) {
+        console.log(error)
+      }
+    }, QUOTE_REFRESH_MS)
+    return () => clearInterval(interval)
+  }, [review])
+
+  /**
+   * Open Review
+   * 
+   * Quotes the entered amount fresh and shows it in the review modal.
+   */
+  const openReview = async () => {
+    setSwapError("")
+    try {
+      setReview(await buildSwapTransaction())
+      setUpdatedReview(null)
+      setSimulationError(null)
+    }
+    catch (error) {
+      console.log(error)
+      setSwapError(error.message)
+    }
+  }
+
+  /**
+   * Accept Price Update
+   * 
+   * Swaps the reviewed quote for the newer one and shows its amounts in the card.
+   */
+  const acceptPriceUpdate = () => {
+    const { trade, transferTax } = updatedReview
+    if (trade.tradeType === TradeType.EXACT_INPUT) {
+      setToAmount(formatAmount(afterTransferTax(trade.outputAmount, transferTax.tax)))
+    }
+    else {
+      setFromAmount(formatAmount(trade.inputAmount))
     }
-    return swapParams
+    setTrade(trade)
+    setTransferTax(transferTax)
+    setReview(updatedReview)
+    setUpdatedReview(null)
+    setSimulationError(null)
   }
 
-  const approveTokens = async (amount) => {
+  const closeReview = () => {
+    setReview(null)
+    setUpdatedReview(null)
+    setSimulationError(null)
+  }
+
+  /**
+   * Approve Tokens
+   * 
+   * A separate step before swapping an ERC-20: approves the router following
+   * the approval policy (at least the most the current trade can spend) and
+   * waits for the approval to be mined. The Swap button stays disabled until
+   * the allowance covers the trade. The outcome is reported by a toast.
+   */
+  const approveTokens = async () => {
+    let overrides
     try {
-      const hash = await writeContractAsync({
-        address: DAI.address,
-        abi: erc20Abi,
-        functionName: 'approve',
-        args: ["0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D", parseEther(amount.toString())]
-      })
-      return amount;
+      overrides = await getTransactionOverrides(client, settings)
+    }
+    catch (error) {
+      console.log(error)
+      setSwapError(`Invalid advanced settings: ${error.shortMessage ?? error.message}`)
+      return
     }
-    catch {
-      alert("Approval Failed!")
+    setSwapError("")
+    try {
+      await approve(approvalAmount, overrides)
+    }
+    catch (error) {
+      console.log(error)
+    }
+    finally {
+      // A manual nonce is used up by this attempt
+      if (overrides.nonce !== undefined) clearNonce()
     }
   }
 
+  /**
+   * Execute Swap
+   * 
+   * Sends exactly the call shown in the review modal through the transaction
+   * manager, which reports its progress in a toast.
+   * 
+   * The call is simulated first with the same args, value and advanced
+   * settings (fees, gas limit, nonce). A revert keeps the modal open with an
+   * explanation and the wallet is never opened.
+   */
   const executeSwap = async () => {
+    const { trade, transferTax, call } = review
+    const { functionName, args, value, amountIn } = call
     try {
-      const swapParams = await buildSwapTransaction();
-      let args = Object.values(swapParams)
-      if (isSwappingFromEth) {
-        args.shift()
+      if (!fromToken.currency.isNative) {
+        // The quote may have moved since the approval; never send a swap that would revert
+        const { data: currentAllowance } = await refetchAllowance()
+        if (currentAllowance === undefined || currentAllowance < amountIn) {
+          closeReview()
+          setSwapError(`Approve ${fromToken.symbol} before swapping`)
+          return
+        }
+      }
 
+      setSimulating(true)
+      setSimulationError(null)
+      let overrides
+      try {
+        overrides = await getTransactionOverrides(client, settings)
+        await client.simulateContract({
+          account: address,
+          address: ROUTER_ADDRESS,
+          abi: IUniswapV2RouterABI.abi,
+          functionName,
+          args,
+          value,
+          ...overrides
+        })
       }
-      else {
-        await approveTokens(args[0])
+      catch (error) {
+        console.log(error)
+        setSimulationError(explainRevert(error))
+        return
       }
-      const tx = await writeContractAsync({
-        address: "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D",
-        abi: IUniswapV2RouterABI.abi,
-        functionName: isSwappingFromEth ? "swapExactETHForTokens" : "swapExactTokensForETH",
-        args: args,
-        value: isSwappingFromEth ? swapParams.amountIn : 0
-      })
-      let receipt = await client.waitForTransactionReceipt({ hash: tx })
-      if (receipt.status === "success") {
-        alert("Swap Success!")
+      finally {
+        setSimulating(false)
+      }
+
+      closeReview()
+      const received = afterTransferTax(trade.outputAmount, transferTax.tax)
+      let result
+      try {
+        result = await runTransaction({
+          type: TxType.SWAP,
+          summary: `Swap ${formatAmount(trade.inputAmount)} ${trade.inputAmount.currency.symbol} for ${formatAmount(received)} ${received.currency.symbol}`,
+          // Quoted amounts, compared with what the receipt's logs show afterwards
+          amounts: [toHistoryAmount(AmountRole.PAID, trade.inputAmount), toHistoryAmount(AmountRole.RECEIVED, received)],
+          send: () => writeContractAsync({
+            address: ROUTER_ADDRESS,
+            abi: IUniswapV2RouterABI.abi,
+            functionName,
+            args,
+            value,
+            ...overrides
+          })
+        })
+      }
+      finally {
+        // A manual nonce is used up by this attempt
+        if (overrides.nonce !== undefined) clearNonce()
       }
-      else {
-        alert("Swap Failed!")
+      if (wentThrough(result)) {
+        refetchAllowance()
       }
     }
     catch (error) {
@@ -313,7 +842,7 @@ export default function SwapCard() {
           token={fromToken}
           amount={fromAmount}
           onAmountChange={handleAmountChange}
-          onSelectToken={setFromToken}
+          onSelectToken={(currency) => handleSelectToken("from", currency)}
         />
         <div className="flex justify-center">
           <button
@@ -328,9 +857,77 @@ export default function SwapCard() {
           label="To"
           token={toToken}
           amount={toAmount}
-          onAmountChange={setToAmount}
-          onSelectToken={setToToken}
+          onAmountChange={handleOutputAmountChange}
+          onSelectToken={(currency) => handleSelectToken("to", currency)}
         />
+        {amountError && (
+          <div className="text-xs text-red-600 text-center">{amountError}</div>
+        )}
+        {quoteError && (
+          <div className="text-xs text-red-600 text-center">
+            {quoteError.message}
+            {quoteError.missingPool && onOpenPair && (
+              <>
+                {". "}
+                <button
+                  type="button"
+                  className="text-blue-500 hover:underline"
+                  onClick={() => onOpenPair(fromToken.currency, toToken.currency, "pool")}
+                >
+                  Create pool
+                </button>
+              </>
+            )}
+          </div>
+        )}
+        {trade && (
+          <div className="text-xs text-gray-500 text-center">
+            Route: {trade.route.path.map((token) => token.symbol).join(" → ")}
+            <br />
+            {tradeType === TradeType.EXACT_OUTPUT
+              ? `Maximum sold: ${formatAmount(trade.maximumAmountIn(getSlippageTolerance()))} ${fromToken.symbol}`
+              : `Minimum received: ${formatAmount(afterTransferTax(trade.minimumAmountOut(getSlippageTolerance()), transferTax?.tax))} ${toToken.symbol}`}
+            <br />
+            Price impact:{" "}
+            <span className={PRICE_IMPACT_COLORS[priceImpactSeverity]}>{formatPriceImpact(trade.priceImpact)}</span>
+            {networkCost && (
+              <>
+                <br />
+                Network cost{gasCalls.length > 1 ? " (approve + swap)" : ""}: {formatNetworkCost(networkCost)}
+                {networkCost.approximate && " (typical gas)"}
+              </>
+            )}
+          </div>
+        )}
+        {/**
+         * High Price Impact Warning
+         * 
+         * Explains why the swap will ask for confirmation or is blocked.
+         */}
+        {priceImpactSeverity >= PriceImpactSeverity.WARNING && (
+          <div className="text-xs text-red-800 bg-red-50 border border-red-300 rounded-lg p-2">
+            {priceImpactBlocked
+              ? "Price impact is too high: this trade would lose most of its value to the pool. Turn on expert mode in Settings to swap anyway."
+              : "High price impact: this trade moves the pool price a lot and you will be asked to confirm it."}
+          </div>
+        )}
+        {/**
+         * Fee-on-Transfer Warning
+         * 
+         * Shown when a token on the route taxes transfers, explaining why the
+         * received amount is lower than the pool price suggests.
+         */}
+        {transferTax?.taxedTokens.length > 0 && (
+          <div className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-300 rounded-lg p-2">
+            {transferTax.taxedTokens
+              .map(({ token, feeBps }) => `${token.symbol} takes ${feeBps / 100}% in transfer fees on this route`)
+              .join(". ")}
+            . You will receive about {transferTax.tax.toFixed(2)}% less than the pool price suggests.
+            {tradeType === TradeType.EXACT_OUTPUT
+              ? " Exact output swaps are not supported for these tokens; enter the amount to sell instead."
+              : " The swap uses the router's fee-on-transfer methods."}
+          </div>
+        )}
         <div className="flex justify-between items-center">
           <button
             type="button"
@@ -340,23 +937,62 @@ export default function SwapCard() {
             Settings
           </button>
           <div className="text-xs text-gray-500">
-            Slippage: {settings.slippage}% | Deadline: {settings.deadline}m
+            Slippage: {getEffectiveSlippage(settings, currentPair)}%{hasPairSlippage && " (pair preset)"} | Deadline: {settings.deadline}m
           </div>
         </div>
+        {/**
+         * Approval Step
+         * 
+         * Only shown when the router's allowance doesn't cover the trade.
+         */}
+        {needsApproval && (
+          <button
+            type="button"
+            className="w-full bg-green-600 text-white py-2 rounded-lg font-medium hover:bg-green-700 transition disabled:opacity-50"
+            onClick={approveTokens}
+            disabled={approvalState === ApprovalState.PENDING}
+          >
+            {approvalState === ApprovalState.PENDING ? `Approving ${fromToken.symbol}...` : `Approve ${fromToken.symbol}`}
+          </button>
+        )}
+        {needsApproval && approvalAmount !== undefined && (
+          <div className="text-xs text-gray-500 text-center">
+            Approval: {describeApproval(approvalPolicy, fromToken.currency, approvalAmount)}
+          </div>
+        )}
         <button
           type="button"
-          className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition"
-          onClick={executeSwap}
+          className="w-full bg-blue-600 text-white py-2 rounded-lg font-medium hover:bg-blue-700 transition disabled:opacity-50"
+          onClick={openReview}
+          disabled={approvalState !== ApprovalState.APPROVED || priceImpactBlocked || swapInFlight}
         >
-          Swap
+          {priceImpactBlocked ? "Price Impact Too High" : swapInFlight ? "Swapping..." : "Swap"}
         </button>
+        {swapError && (
+          <div className="text-xs text-red-600 text-center">{swapError}</div>
+        )}
         <ConnectWalletButton />
       </div>
+      {review && (
+        <SwapReviewModal
+          review={review}
+          networkCost={networkCost}
+          priceUpdated={Boolean(updatedReview)}
+          expertMode={settings.expertMode}
+          simulating={simulating}
+          simulationError={simulationError}
+          onAcceptUpdate={acceptPriceUpdate}
+          onConfirm={executeSwap}
+          onClose={closeReview}
+        />
+      )}
       {showSettings && (
         <SettingsModal 
           onClose={() => setShowSettings(false)} 
           currentSettings={settings}
-          onSaveSettings={setSettings}
+          onSaveSettings={saveSettings}
+          currentToken={fromToken.currency.isNative ? undefined : fromToken.currency}
+          currentPair={currentPair}
         />
       )}
     </div>
@@ -0,0 +1,232 @@
+/**
+ * SwapReviewModal Component
+ *
+ * The last step before a swap is signed: shows everything the router call
+ * will commit to, so the user can check it before opening the wallet.
+ *
+ * Key React Concepts:
+ * - Presentational component: SwapCard owns the quote and re-quotes while the
+ *   modal is open; this component only renders it and reports the user's choice
+ * - Derived state: The high price impact acknowledgement remembers which
+ *   trade it was given for, so a new quote needs a new acknowledgement
+ *
+ * Key Web3/DeFi Concepts:
+ * - Execution price: What this trade actually pays per input token
+ * - Mid price: The pools' current price, before this trade moves it
+ * - Minimum received / maximum sold: The slippage-adjusted limit the router enforces
+ * - LP fee: 0.3% of the amount passing through each pair on the route
+ * - Price updated: A new quote replaces the reviewed one only once accepted
+ * - Simulation: Confirm first runs the call without sending it; a revert is
+ *   explained here instead of opening the wallet
+ * - Price impact tiers: Above the warning tier the user must acknowledge the
+ *   impact before confirming; at the blocked tier Confirm stays disabled
+ *   unless expert mode is on (which also skips the acknowledgement)
+ */
+
+import { useState } from "react";
+
+// Uniswap SDK Core for trade direction and percentage math
+import { Percent, TradeType } from "@uniswap/sdk-core";
+
+// Amount formatting, LP fee, network cost and price impact tiers
+import { formatAmount, formatRawAmount } from "../utils/amounts.js";
+import { getLpFee } from "../utils/swap.js";
+import { formatNetworkCost } from "../utils/gas.js";
+import { formatPriceImpact, getPriceImpactSeverity, PRICE_IMPACT_COLORS, PriceImpactSeverity } from "../utils/priceImpact.js";
+
+const shortenAddress = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+
+/**
+ * Review Row
+ */
+function Row({ label, children }) {
+  return (
+    <div className="flex justify-between space-x-3">
+      <span className="text-gray-500">{label}</span>
+      <span className="text-right">{children}</span>
+    </div>
+  );
+}
+
+/**
+ * SwapReviewModal Functional Component
+ *
+ * @param {Object} props - The component props
+ * @param {Object} props.review - The quote being reviewed:
+ *   { trade, transferTax, call, deadline, recipient } where call is the
+ *   buildSwapCall result and deadline a unix timestamp
+ * @param {Object|null} [props.networkCost] - Estimated cost of the call, see
+ *   estimateNetworkCost; undefined while estimating, null when the estimate failed
+ * @param {boolean} props.priceUpdated - A newer quote is waiting to be accepted
+ * @param {boolean} props.expertMode - High price impact is neither blocked nor acknowledged
+ * @param {boolean} props.simulating - The call is being simulated
+ * @param {Object|null} props.simulationError - { reason, explanation, suggestion }
+ *   when the simulation reverted
+ * @param {Function} props.onAcceptUpdate - Switches to the newer quote
+ * @param {Function} props.onConfirm - Sends the reviewed swap
+ * @param {Function} props.onClose - Closes without swapping
+ * @returns {JSX.Element} The rendered modal dialog
+ */
+export default function SwapReviewModal({
+  review,
+  networkCost,
+  priceUpdated,
+  expertMode,
+  simulating,
+  simulationError,
+  onAcceptUpdate,
+  onConfirm,
+  onClose,
+}) {
+  const { trade, transferTax, call, deadline, recipient } = review;
+  const inputCurrency = trade.inputAmount.currency;
+  const outputCurrency = trade.outputAmount.currency;
+  const { feePercent, feeAmount } = getLpFee(trade);
+  const hops = trade.route.pairs.length;
+  // Taxed tokens arrive short of the pool's output
+  const received = transferTax?.tax.greaterThan(0)
+    ? trade.outputAmount.multiply(new Percent(1, 1).subtract(transferTax.tax))
+    : trade.outputAmount;
+
+  /**
+   * Price Impact Check
+   *
+   * acknowledgedTrade: The trade whose high price impact was acknowledged
+   */
+  const [acknowledgedTrade, setAcknowledgedTrade] = useState(null);
+  const severity = getPriceImpactSeverity(trade.priceImpact);
+  const blocked = severity === PriceImpactSeverity.BLOCKED && !expertMode;
+  const needsAcknowledgement = severity === PriceImpactSeverity.WARNING && !expertMode;
+  const acknowledged = acknowledgedTrade === trade;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="bg-white rounded-2xl p-6 w-96 max-h-[90vh] overflow-y-auto">
+        <h3 className="text-lg font-semibold mb-4">Review Swap</h3>
+
+        {/* Amounts */}
+        <div className="bg-gray-50 p-4 rounded-lg space-y-1">
+          <div className="text-xs text-gray-500">You pay</div>
+          <div className="text-xl font-medium">
+            {formatAmount(trade.inputAmount)} {inputCurrency.symbol}
+          </div>
+          <div className="text-xs text-gray-500 pt-2">You receive</div>
+          <div className="text-xl font-medium">
+            {formatAmount(received)} {outputCurrency.symbol}
+          </div>
+        </div>
+
+        {/* Trade Breakdown */}
+        <div className="mt-4 text-xs space-y-2">
+          <Row label="Route">{trade.route.path.map((token) => token.symbol).join(" → ")}</Row>
+          <Row label="Execution price">
+            1 {inputCurrency.symbol} = {trade.executionPrice.toSignificant(6)} {outputCurrency.symbol}
+          </Row>
+          <Row label="Mid price">
+            1 {inputCurrency.symbol} = {trade.route.midPrice.toSignificant(6)} {outputCurrency.symbol}
+          </Row>
+          {trade.tradeType === TradeType.EXACT_INPUT ? (
+            <Row label="Minimum received">
+              {formatRawAmount(call.amountOut, outputCurrency)} {outputCurrency.symbol}
+            </Row>
+          ) : (
+            <Row label="Maximum sold">
+              {formatRawAmount(call.amountIn, inputCurrency)} {inputCurrency.symbol}
+            </Row>
+          )}
+          <Row label={`LP fee (0.3% × ${hops} ${hops === 1 ? "hop" : "hops"})`}>
+            {formatAmount(feeAmount)} {inputCurrency.symbol} ({feePercent.toSignificant(3)}%)
+          </Row>
+          <Row label="Price impact">
+            <span className={PRICE_IMPACT_COLORS[severity]}>
+              {formatPriceImpact(trade.priceImpact)}
+            </span>
+          </Row>
+          {transferTax?.tax.greaterThan(0) && (
+            <Row label="Transfer tax">{transferTax.tax.toFixed(2)}%</Row>
+          )}
+          <Row label="Recipient">
+            <span title={recipient}>{shortenAddress(recipient)}</span>
+          </Row>
+          <Row label="Deadline">{new Date(deadline * 1000).toLocaleTimeString()}</Row>
+          <Row label="Network cost">
+            {networkCost === undefined
+              ? "Estimating..."
+              : networkCost === null
+                ? "Unavailable"
+                : formatNetworkCost(networkCost)}
+          </Row>
+        </div>
+
+        {/**
+         * Price Updated Prompt
+         *
+         * A newer quote arrived while the modal was open. Confirm stays
+         * disabled until the user accepts the new amounts.
+         */}
+        {priceUpdated && (
+          <div className="mt-4 flex items-center justify-between text-xs text-yellow-800 bg-yellow-50 border border-yellow-300 rounded-lg p-2">
+            <span>Price updated</span>
+            <button
+              type="button"
+              onClick={onAcceptUpdate}
+              className="px-3 py-1 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 transition"
+            >
+              Accept
+            </button>
+          </div>
+        )}
+
+        {/**
+         * High Price Impact
+         *
+         * Blocked trades can't be confirmed; warned ones need the checkbox.
+         */}
+        {blocked && (
+          <div className="mt-4 text-xs text-red-800 bg-red-50 border border-red-300 rounded-lg p-2">
+            Price impact of {formatPriceImpact(trade.priceImpact)} is too high. Turn on expert mode in Settings to swap anyway.
+          </div>
+        )}
+        {needsAcknowledgement && (
+          <label className="mt-4 flex items-start space-x-2 text-xs text-red-800 bg-red-50 border border-red-300 rounded-lg p-2">
+            <input
+              type="checkbox"
+              checked={acknowledged}
+              onChange={(e) => setAcknowledgedTrade(e.target.checked ? trade : null)}
+            />
+            <span>
+              This swap has a price impact of {formatPriceImpact(trade.priceImpact)} and may lose a large part of
+              its value. I want to swap anyway.
+            </span>
+          </label>
+        )}
+
+        {/**
+         * Simulation Failure
+         *
+         * The swap would revert if sent now, so it wasn't sent.
+         */}
+        {simulationError && (
+          <div className="mt-4 text-xs text-red-800 bg-red-50 border border-red-300 rounded-lg p-2 space-y-1">
+            <div className="font-medium">{simulationError.explanation}</div>
+            {simulationError.suggestion && <div>{simulationError.suggestion}</div>}
+            <div className="text-red-500 break-all">{simulationError.reason}</div>
+          </div>
+        )}
+
+        <div className="mt-6 flex justify-end space-x-3">
+          <button onClick={onClose} className="px-4 py-2 text-gray-600 hover:underline">
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={priceUpdated || simulating || blocked || (needsAcknowledgement && !acknowledged)}
+            className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition disabled:opacity-50"
+          >
+            {simulating ? "Simulating..." : "Confirm Swap"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+/**
+ * TokenSelectModal Component
+ *
+ * A searchable token picker backed by Uniswap Token Lists. Users can search by
+ * symbol, name or address, jump to a common base with the shortcut chips, and
+ * manage which lists are loaded (add by URL, add from a file, remove).
+ *
+ * Pasting the address of a token that is on no list looks up its metadata
+ * on-chain and offers to import it, after an explicit risk confirmation.
+ *
+ * Key React Concepts Demonstrated:
+ * - Custom Hooks: Token lists come from the shared useTokenLists hook
+ * - Derived State: The visible tokens are computed from the search query
+ * - Controlled Components: Search and URL inputs controlled by React state
+ * - Modal Pattern: Overlay dialog, same styling as SettingsModal
+ */
+
+import { useEffect, useState } from "react";
+
+// Shared token lists
+import { useTokenLists } from "../hooks/useTokenLists.js";
+
+// Common base shortcuts
+import { COMMON_BASES } from "../constants/tokens.js";
+
+// Token search
+import { searchTokens } from "../utils/tokenLists.js";
+
+// On-chain metadata lookup for unlisted tokens
+import { fetchToken } from "../utils/tokenMetadata.js";
+import { publicClient } from "../utils/client.js";
+
+/**
+ * TokenSelectModal Functional Component
+ *
+ * @param {Object} props - The component props
+ * @param {Function} props.onClose - Callback to close the modal
+ * @param {Function} props.onSelect - Callback with the chosen currency
+ * @param {Currency} props.selectedCurrency - Currency currently selected on this side
+ * @returns {JSX.Element} The rendered modal dialog
+ */
+export default function TokenSelectModal({ onClose, onSelect, selectedCurrency }) {
+  const { lists, tokens, addListUrl, addListFile, removeList, addUserToken } = useTokenLists();
+
+  /**
+   * Local UI State
+   *
+   * query: Text in the search box
+   * showLists: Toggles between the token list and the list manager
+   * listUrl: URL typed into the "add list" field
+   * listError: Error from the last list file that failed to load
+   * lookup: On-chain lookup of a pasted, unlisted address
+   *   { status: "idle" | "loading" | "found" | "error", token?, error? }
+   * pendingImport: Token waiting for the user to confirm the import
+   * acknowledged: Whether the "import at your own risk" box is ticked
+   */
+  const [query, setQuery] = useState("");
+  const [showLists, setShowLists] = useState(false);
+  const [listUrl, setListUrl] = useState("");
+  const [listError, setListError] = useState("");
+  const [lookup, setLookup] = useState({ status: "idle" });
+  const [pendingImport, setPendingImport] = useState(null);
+  const [acknowledged, setAcknowledged] = useState(false);
+
+  const results = searchTokens(tokens, query);
+  const isUnlistedAddress = /^0x[0-9a-fA-F]{40}$/.test(query.trim()) && results.length === 0;
+
+  /**
+   * Unlisted Address Lookup
+   *
+   * When the query is an address that matches no list token, read the
+   * token's metadata from its contract. The cancelled flag drops results
+   * of lookups the user has already typed past.
+   */
+  useEffect(() => {
+    if (!isUnlistedAddress) {
+      setLookup({ status: "idle" });
+      return;
+    }
+    let cancelled = false;
+    setLookup({ status: "loading" });
+    fetchToken(publicClient, query.trim())
+      .then((token) => !cancelled && setLookup({ status: "found", token }))
+      .catch((error) => !cancelled && setLookup({ status: "error", error: error.message }));
+    return () => {
+      cancelled = true;
+    };
+  }, [query, isUnlistedAddress]);
+
+  const handleSelect = (currency) => {
+    onSelect(currency);
+    onClose();
+  };
+
+  const handleImport = () => {
+    addUserToken(pendingImport);
+    handleSelect(pendingImport);
+  };
+
+  const handleAddFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    try {
+      await addListFile(file);
+      setListError("");
+    } catch (error) {
+      setListError(error.message);
+    }
+    // Allow picking the same file again after fixing it
+    e.target.value = "";
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center">
+      <div className="bg-white rounded-2xl p-6 w-96 max-h-[80vh] flex flex-col">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-semibold">
+            {pendingImport ? "Import Token" : showLists ? "Manage Token Lists" : "Select a Token"}
+          </h3>
+          <button onClick={onClose} className="text-gray-500 hover:text-gray-700">
+            ✕
+          </button>
+        </div>
+
+        {pendingImport ? (
+          /**
+           * Import Confirmation
+           *
+           * Anyone can deploy a token with any name and symbol, including
+           * copies of real tokens, so importing requires an explicit opt-in.
+           */
+          <div className="space-y-3">
+            <div className="border border-gray-200 rounded-lg p-3">
+              <div className="font-medium">{pendingImport.symbol}</div>
+              <div className="text-sm text-gray-600">{pendingImport.name}</div>
+              <div className="text-xs text-gray-500 break-all mt-1">{pendingImport.address}</div>
+              <div className="text-xs text-gray-500">{pendingImport.decimals} decimals</div>
+            </div>
+            <div className="text-sm text-red-700 bg-red-50 border border-red-300 rounded-lg p-3">
+              This token is not on any active token list. Anyone can create a token,
+              including fake versions of existing tokens that claim to represent
+              real projects. Make sure this is the token you want to trade.
+              Import at your own risk.
+            </div>
+            <label className="flex items-center space-x-2 text-sm">
+              <input type="checkbox" checked={acknowledged} onChange={(e) => setAcknowledged(e.target.checked)} />
+              <span>I understand the risk</span>
+            </label>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => {
+                  setPendingImport(null);
+                  setAcknowledged(false);
+                }}
+                className="px-4 py-2 text-gray-600 hover:underline"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleImport}
+                disabled={!acknowledged}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition disabled:opacity-50"
+              >
+                Import
+              </button>
+            </div>
+          </div>
+        ) : showLists ? (
+          /**
+           * List Manager
+           *
+           * Shows every loaded list with its token count or error,
+           * plus inputs for adding lists by URL or file.
+           */
+          <div className="space-y-3 overflow-y-auto">
+            {lists.map((entry) => (
+              <div key={entry.id} className="flex justify-between items-center text-sm border border-gray-200 rounded-lg p-2">
+                <div className="min-w-0">
+                  <div className="font-medium truncate">{entry.list?.name ?? entry.url}</div>
+                  <div className={`text-xs ${entry.error ? "text-red-600" : "text-gray-500"}`}>
+                    {entry.loading ? "Loading..." : entry.error ?? `${entry.list.tokens.length} tokens`}
+                  </div>
+                </div>
+                {entry.source !== "bundled" && (
+                  <button onClick={() => removeList(entry.id)} className="text-xs text-red-500 hover:underline ml-2">
+                    Remove
+                  </button>
+                )}
+              </div>
+            ))}
+            <div className="flex space-x-2">
+              <input
+                type="url"
+                className="flex-1 border border-gray-400 rounded-lg p-2 text-sm"
+                placeholder="https:// token list URL"
+                value={listUrl}
+                onChange={(e) => setListUrl(e.target.value)}
+              />
+              <button
+                onClick={() => {
+                  addListUrl(listUrl);
+                  setListUrl("");
+                }}
+                className="px-3 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition"
+              >
+                Add
+              </button>
+            </div>
+            <label className="block text-sm text-blue-500 hover:underline cursor-pointer">
+              Load list from file...
+              <input type="file" accept=".json,application/json" className="hidden" onChange={handleAddFile} />
+            </label>
+            {listError && <div className="text-xs text-red-600">{listError}</div>}
+          </div>
+        ) : (
+          <>
+            {/**
+             * Search Input
+             *
+             * Filters by symbol, name, or an exact address.
+             */}
+            <input
+              type="text"
+              autoFocus
+              className="w-full border border-gray-400 rounded-lg p-2"
+              placeholder="Search name, symbol or paste address"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+            />
+
+            {/**
+             * Common Base Chips
+             *
+             * One-click shortcuts for the most liquid tokens.
+             */}
+            <div className="flex flex-wrap gap-2 mt-3">
+              {COMMON_BASES.map((currency) => (
+                <button
+                  key={currency.symbol}
+                  onClick={() => handleSelect(currency)}
+                  disabled={selectedCurrency?.equals(currency)}
+                  className="px-2 py-1 border border-gray-300 rounded-lg text-sm hover:bg-gray-100 disabled:opacity-50"
+                >
+                  {currency.symbol}
+                </button>
+              ))}
+            </div>
+
+            {/**
+             * Token Results
+             */}
+            <div className="mt-3 overflow-y-auto flex-1 divide-y divide-gray-100">
+              {results.map((currency) => (
+                <button
+                  key={currency.isNative ? "ETH" : currency.address}
+                  onClick={() => handleSelect(currency)}
+                  disabled={selectedCurrency?.equals(currency)}
+                  className="w-full text-left py-2 px-1 hover:bg-gray-50 disabled:opacity-50"
+                >
+                  <div className="font-medium">{currency.symbol}</div>
+                  <div className="text-xs text-gray-500">{currency.name}</div>
+                </button>
+              ))}
+              {lookup.status === "found" && (
+                <div className="flex justify-between items-center py-2 px-1">
+                  <div>
+                    <div className="font-medium">{lookup.token.symbol}</div>
+                    <div className="text-xs text-gray-500">{lookup.token.name}</div>
+                  </div>
+                  <button
+                    onClick={() => setPendingImport(lookup.token)}
+                    className="px-3 py-1 bg-blue-600 text-white rounded-lg text-sm hover:bg-blue-700 transition"
+                  >
+                    Import
+                  </button>
+                </div>
+              )}
+              {lookup.status === "loading" && (
+                <div className="py-4 text-center text-sm text-gray-500">Looking up token...</div>
+              )}
+              {lookup.status === "error" && (
+                <div className="py-4 text-center text-sm text-red-600">{lookup.error}</div>
+              )}
+              {results.length === 0 && !isUnlistedAddress && (
+                <div className="py-4 text-center text-sm text-gray-500">No tokens found</div>
+              )}
+            </div>
+          </>
+        )}
+
+        {!pendingImport && (
+          <button
+            onClick={() => setShowLists(!showLists)}
+            className="mt-4 text-sm text-blue-500 hover:underline"
+          >
+            {showLists ? "Back to tokens" : "Manage token lists"}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -12,6 +12,7 @@
  * - Event Handling: Managing user input and button clicks
  * - Controlled Components: Input value controlled by parent state
  * - Callback Props: Communicating user actions back to parent
+ * - Local UI State: The token picker modal's visibility lives here
  * 
  * DEX Trading Concepts:
  * - Token Selection: Choosing which cryptocurrency to trade
@@ -19,6 +20,12 @@
  * - Balance Display: Showing user's current token holdings
  */
 
+// useState hook for the token picker visibility
+import { useState } from "react";
+
+// Searchable token picker backed by token lists
+import TokenSelectModal from "./TokenSelectModal.jsx";
+
 /**
  * TokenSelector Functional Component
  * 
@@ -28,10 +35,10 @@
  * 
  * @param {Object} props - The component props
  * @param {string} props.label - Display label ("From" or "To")
- * @param {Object} props.token - Token object with symbol and balance properties
+ * @param {Object} props.token - Token object with symbol, balance and currency properties
  * @param {string} props.amount - Current amount value (controlled by parent)
  * @param {Function} props.onAmountChange - Callback when amount input changes
- * @param {Function} props.onSelectToken - Callback when token selector is clicked
+ * @param {Function} props.onSelectToken - Callback with the currency picked in the token modal
  * @returns {JSX.Element} The rendered token selector interface
  */
 export default function TokenSelector({
@@ -41,6 +48,14 @@ export default function TokenSelector({
   onAmountChange,
   onSelectToken,
 }) {
+  /**
+   * Token Picker Visibility
+   * 
+   * Each selector opens its own picker; the parent only hears about the
+   * currency that was picked.
+   */
+  const [showTokenModal, setShowTokenModal] = useState(false);
+
   /**
    * Component Render Return
    * 
@@ -103,8 +118,9 @@ export default function TokenSelector({
          * and changes are handled by the onAmountChange callback.
          * 
          * Key attributes:
-         * - type="number": Provides numeric input with validation
-         * - step="any": Allows decimal values (not just integers)
+         * - type="text" + inputMode="decimal": Shows a numeric keyboard on mobile
+         *   while passing the raw text through, so the parent can accept decimal
+         *   commas and scientific notation and validate against the token's decimals
          * - value={amount}: Controlled by parent component state
          * - onChange: Calls parent callback with new value
          * 
@@ -119,8 +135,9 @@ export default function TokenSelector({
          * - text-gray-900: Dark gray text color
          */}
         <input
-          type="number"
-          step="any"
+          type="text"
+          inputMode="decimal"
+          autoComplete="off"
           className="flex-1 bg-transparent outline-none text-lg font-medium border-2 border-gray-300 rounded-lg px-2 py-1.5 text-gray-900"
           placeholder="0.0"
           value={amount}
@@ -131,12 +148,12 @@ export default function TokenSelector({
          * Token Selection Button
          * 
          * This button allows users to change which token is selected.
-         * Currently, it calls onSelectToken with the same token, but could
-         * be extended to show a token selection modal or dropdown.
+         * It opens the token picker modal; the picked currency is passed
+         * to the parent through onSelectToken.
          * 
          * Key attributes:
          * - type="button": Prevents form submission if inside a form
-         * - onClick: Calls the onSelectToken callback with current token
+         * - onClick: Opens the token picker modal
          * 
          * Tailwind classes breakdown:
          * - ml-2: Left margin of 0.5rem for spacing from input
@@ -149,16 +166,7 @@ export default function TokenSelector({
          */}
         <button
           type="button"
-          onClick={() => {
-            /**
-             * Token Selection Handler
-             * 
-             * Calls the onSelectToken callback prop with the current token.
-             * This allows the parent component to handle token selection logic,
-             * such as opening a modal to choose different tokens.
-             */
-            onSelectToken(token);
-          }}
+          onClick={() => setShowTokenModal(true)}
           className="ml-2 bg-white border-2 border-gray-300 px-3 rounded-lg hover:bg-gray-200 transition"
         >
           {/**
@@ -170,6 +178,19 @@ export default function TokenSelector({
           {token.symbol}
         </button>
       </div>
+
+      {/**
+       * Token Picker Modal
+       * 
+       * Rendered only while open, like SettingsModal in SwapCard.
+       */}
+      {showTokenModal && (
+        <TokenSelectModal
+          onClose={() => setShowTokenModal(false)}
+          onSelect={onSelectToken}
+          selectedCurrency={token.currency}
+        />
+      )}
     </div>
   );
 }
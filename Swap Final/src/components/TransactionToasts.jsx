@@ -0,0 +1,146 @@
+/**
+ * TransactionToasts Component
+ *
+ * Non-blocking notifications for the transactions tracked by
+ * TransactionsProvider, stacked in the corner of the screen. Pending
+ * transactions stay until they finish; finished ones close themselves after
+ * a few seconds or when dismissed. A swap waiting to be mined can be sped up
+ * or cancelled from its toast.
+ *
+ * Key React Concepts:
+ * - useEffect cleanup: The auto-close timer is cleared if the toast goes away first
+ */
+
+import { useEffect } from "react";
+
+// Transaction manager
+import { useTransactions } from "../hooks/useTransactions.js";
+import { isPending, ReplaceAction, REQUIRED_CONFIRMATIONS, TxStatus } from "../utils/transactions.js";
+import { TxType } from "../utils/history.js";
+
+/**
+ * How long a finished transaction's toast stays open (ms)
+ */
+const TOAST_TIMEOUT_MS = 6000;
+
+const STATUS_STYLES = {
+  [TxStatus.AWAITING_SIGNATURE]: "border-blue-300",
+  [TxStatus.SUBMITTED]: "border-blue-300",
+  [TxStatus.CONFIRMING]: "border-blue-300",
+  [TxStatus.SUCCESS]: "border-green-400",
+  [TxStatus.REVERTED]: "border-red-400",
+  [TxStatus.DROPPED]: "border-yellow-400",
+  [TxStatus.REPLACED]: "border-yellow-400",
+  [TxStatus.FAILED]: "border-red-400",
+};
+
+const shortenHash = (hash) => `${hash.slice(0, 10)}...${hash.slice(-6)}`;
+
+/**
+ * Status Text
+ *
+ * @returns {string} What is happening to the transaction, in words
+ */
+const describeStatus = (tx) => {
+  switch (tx.status) {
+    case TxStatus.AWAITING_SIGNATURE:
+      return "Confirm in your wallet...";
+    case TxStatus.SUBMITTED:
+      return "Submitted, waiting to be mined...";
+    case TxStatus.CONFIRMING:
+      return `Confirming (${tx.confirmations ?? 0}/${REQUIRED_CONFIRMATIONS})...`;
+    case TxStatus.SUCCESS:
+      return "Confirmed";
+    case TxStatus.REVERTED:
+      return "Reverted: the transaction was mined but failed";
+    case TxStatus.DROPPED:
+      return "Dropped: the network no longer knows this transaction";
+    case TxStatus.REPLACED:
+      if (!tx.replacedBy) return "Replaced by another transaction with the same nonce";
+      if (tx.replaceReason === "cancelled") return "Cancelled by a replacement transaction";
+      if (tx.replaceReason === "repriced") return `Sped up, mined as ${shortenHash(tx.replacedBy)}`;
+      return `Replaced by ${shortenHash(tx.replacedBy)} (${tx.replaceReason})`;
+    default:
+      return tx.error ?? "Failed";
+  }
+};
+
+/**
+ * Replacement Progress
+ *
+ * @returns {string} What the speed-up or cancellation is doing, in words
+ */
+const describeReplacement = ({ replacing, replacementHash }) => {
+  const verb = replacing === ReplaceAction.CANCEL ? "Cancelling" : "Speeding up";
+  return replacementHash ? `${verb}: sent ${shortenHash(replacementHash)}` : `${verb}, confirm in your wallet...`;
+};
+
+/**
+ * Toast
+ */
+function Toast({ tx, onDismiss, onReplace }) {
+  const pending = isPending(tx.status);
+  const { id } = tx;
+  // Only a swap that was sent but not yet mined can still be replaced
+  const replaceable = tx.type === TxType.SWAP && tx.status === TxStatus.SUBMITTED && Boolean(tx.hash);
+
+  useEffect(() => {
+    if (pending) return;
+    const timer = setTimeout(() => onDismiss(id), TOAST_TIMEOUT_MS);
+    return () => clearTimeout(timer);
+  }, [pending, onDismiss, id]);
+
+  return (
+    <div className={`bg-white border-l-4 ${STATUS_STYLES[tx.status]} rounded-lg shadow-lg p-3 text-sm`}>
+      <div className="flex justify-between space-x-3">
+        <span className="font-medium">{tx.summary}</span>
+        <button type="button" onClick={() => onDismiss(id)} className="text-gray-400 hover:text-gray-600">
+          ×
+        </button>
+      </div>
+      <div className="text-xs text-gray-600">{describeStatus(tx)}</div>
+      {tx.hash && <div className="text-xs text-gray-400">{shortenHash(tx.hash)}</div>}
+      {replaceable && tx.replacing && <div className="text-xs text-blue-600">{describeReplacement(tx)}</div>}
+      {replaceable && tx.replaceError && <div className="text-xs text-red-600">{tx.replaceError}</div>}
+      {replaceable && (
+        <div className="flex space-x-3 mt-1">
+          <button
+            type="button"
+            onClick={() => onReplace(tx, ReplaceAction.SPEED_UP)}
+            disabled={Boolean(tx.replacing)}
+            className="text-xs text-blue-500 hover:underline disabled:opacity-50"
+          >
+            Speed up
+          </button>
+          <button
+            type="button"
+            onClick={() => onReplace(tx, ReplaceAction.CANCEL)}
+            disabled={Boolean(tx.replacing)}
+            className="text-xs text-red-500 hover:underline disabled:opacity-50"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * TransactionToasts Functional Component
+ *
+ * @returns {JSX.Element} The toast stack
+ */
+export default function TransactionToasts() {
+  const { transactions, replaceTransaction, dismissTransaction } = useTransactions();
+
+  return (
+    <div className="fixed bottom-4 right-4 w-72 space-y-2 z-50">
+      {transactions
+        .filter((tx) => !tx.dismissed)
+        .map((tx) => (
+          <Toast key={tx.id} tx={tx} onDismiss={dismissTransaction} onReplace={replaceTransaction} />
+        ))}
+    </div>
+  );
+}
@@ -0,0 +1,83 @@
+/**
+ * Token and Contract Constants
+ *
+ * Shared definitions for the tokens and Uniswap V2 contracts the swap interface
+ * works with. Keeping them in one module means every component builds its
+ * quotes and transactions from the exact same Token instances.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Token: An sdk-core object describing an ERC-20 (chain, address, decimals, symbol)
+ * - Base Tokens: Highly liquid tokens used as intermediate hops when routing trades
+ * - Router: The Uniswap V2 contract that executes swaps along a path of pairs
+ */
+
+// Uniswap SDK Core for token definitions
+import { ChainId, Ether, Token, WETH9 } from "@uniswap/sdk-core";
+
+/**
+ * Uniswap V2 Router02 Address
+ *
+ * The periphery contract every swap is sent to. It pulls the input tokens,
+ * walks the path of pairs and sends the output to the recipient.
+ */
+export const ROUTER_ADDRESS = "0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D";
+
+/**
+ * Uniswap V2 Factory Address
+ *
+ * The core contract that deploys pairs and records them in getPair / allPairs.
+ */
+export const FACTORY_ADDRESS = "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f";
+
+/**
+ * Multicall3 Address
+ *
+ * Batches many contract reads into one eth_call. Deployed at the same
+ * address on mainnet (and so on the fork) and most other chains.
+ */
+export const MULTICALL3_ADDRESS = "0xcA11bde05977b3631167028862bE2a173976CA11";
+
+/**
+ * Native Ether
+ *
+ * ETH is not an ERC-20, so it has no address. Routing treats it as WETH,
+ * and the router's *ETH* methods wrap/unwrap it during the swap.
+ */
+export const ETHER = Ether.onChain(ChainId.MAINNET);
+
+/**
+ * Mainnet Tokens
+ *
+ * Wrapped Ether plus the most liquid stablecoins and wrapped bitcoin.
+ * Note the differing decimals: USDC and USDT use 6, WBTC uses 8.
+ */
+export const WETH = WETH9[ChainId.MAINNET];
+export const DAI = new Token(ChainId.MAINNET, "0x6B175474E89094C44Da98b954EedeAC495271d0F", 18, "DAI", "Dai Stablecoin");
+export const USDC = new Token(ChainId.MAINNET, "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48", 6, "USDC", "USD Coin");
+export const USDT = new Token(ChainId.MAINNET, "0xdAC17F958D2ee523a2206206994597C13D831ec7", 6, "USDT", "Tether USD");
+export const WBTC = new Token(ChainId.MAINNET, "0x2260FaC5E5542a773AA44FbcE7dedE7c47f7c599", 8, "WBTC", "Wrapped BTC");
+
+/**
+ * Approval Reset Tokens
+ *
+ * Tokens whose approve reverts when it changes a non-zero allowance to
+ * another non-zero value (a guard against the approve front-running race).
+ * Their allowance has to be set to 0 before it can be changed.
+ */
+export const APPROVAL_RESET_TOKENS = [USDT.address];
+
+/**
+ * Base Tokens for Routing
+ *
+ * When no direct pair exists (or a direct pair is illiquid), trades are routed
+ * through these tokens. Every pair between input, output and these bases is
+ * loaded before searching for the best path.
+ */
+export const BASES_TO_CHECK_TRADES_AGAINST = [WETH, DAI, USDC, USDT, WBTC];
+
+/**
+ * Common Bases
+ *
+ * Shortcut chips shown at the top of the token picker.
+ */
+export const COMMON_BASES = [ETHER, WETH, DAI, USDC, USDT, WBTC];
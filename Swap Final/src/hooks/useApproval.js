@@ -0,0 +1,139 @@
+/**
+ * useApproval Hook
+ *
+ * Tracks whether a spender (by default the Uniswap router) may spend enough of
+ * the user's ERC-20 tokens, and sends the approve transaction when it may not.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Allowance: How many tokens a spender may move on the owner's behalf
+ * - Approval: A separate transaction that sets the allowance; it must be mined
+ *   before the router can pull the tokens
+ * - Native ETH needs no approval, it is sent along with the transaction
+ * - Approval reset: Some tokens (e.g. USDT) only change an allowance that is
+ *   0, so a leftover allowance is reset in a transaction of its own first
+ */
+
+import { useCallback, useState } from "react";
+
+// Wagmi hooks for the account, contract reads and writes
+import { useAccount, useReadContract, useWriteContract } from "wagmi";
+
+// Viem's standard ERC-20 ABI
+import { erc20Abi } from "viem";
+
+// Uniswap SDK Core for the approved amount in the history
+import { CurrencyAmount } from "@uniswap/sdk-core";
+
+// Router address, the default spender
+import { ROUTER_ADDRESS } from "../constants/tokens.js";
+
+// Transaction manager, which tracks the approval and reports it in a toast
+import { useTransactions } from "./useTransactions.js";
+import { wentThrough } from "../utils/transactions.js";
+import { AmountRole, toHistoryAmount, TxType } from "../utils/history.js";
+
+// Tokens that must be reset to 0 before a new approval
+import { needsApprovalReset } from "../utils/approvalPolicy.js";
+
+/**
+ * Approval States
+ *
+ * - UNKNOWN: Allowance or required amount not loaded yet
+ * - NOT_APPROVED: Allowance is below the required amount
+ * - PENDING: Approval is awaiting signature or being mined
+ * - APPROVED: Allowance covers the required amount (always for native ETH)
+ */
+export const ApprovalState = {
+  UNKNOWN: "UNKNOWN",
+  NOT_APPROVED: "NOT_APPROVED",
+  PENDING: "PENDING",
+  APPROVED: "APPROVED",
+};
+
+/**
+ * @param {Object} params - Hook parameters
+ * @param {Currency} params.currency - Token being spent (native ETH is always approved)
+ * @param {bigint} [params.amount] - Raw amount the spender needs
+ * @param {string} [params.spender] - Contract that will spend the tokens
+ * @returns {Object} { approvalState, allowance, approve, refetchAllowance }
+ */
+export function useApproval({ currency, amount, spender = ROUTER_ADDRESS }) {
+  const { address } = useAccount();
+  const { writeContractAsync } = useWriteContract();
+  const { runTransaction } = useTransactions();
+  const [pending, setPending] = useState(false);
+
+  const isToken = Boolean(currency) && !currency.isNative;
+
+  const { data: allowance, refetch: refetchAllowance } = useReadContract({
+    abi: erc20Abi,
+    address: isToken ? currency.address : undefined,
+    functionName: "allowance",
+    args: [address, spender],
+    query: { enabled: Boolean(address) && isToken },
+  });
+
+  let approvalState;
+  if (!isToken) approvalState = ApprovalState.APPROVED;
+  else if (pending) approvalState = ApprovalState.PENDING;
+  else if (allowance === undefined || amount === undefined) approvalState = ApprovalState.UNKNOWN;
+  else approvalState = allowance >= amount ? ApprovalState.APPROVED : ApprovalState.NOT_APPROVED;
+
+  /**
+   * Approve
+   *
+   * Sends approve(spender, approveAmount) and resolves only once the receipt is
+   * mined and the new allowance has been read back. Errors are thrown to the
+   * caller; nothing continues on a failed approval.
+   *
+   * Tokens that need it are first reset with approve(spender, 0). A manual
+   * nonce in the overrides then goes to the reset; the approval itself takes
+   * the next one from the wallet.
+   *
+   * @param {bigint} [approveAmount] - Amount to approve, defaults to the required amount
+   * @param {Object} [overrides] - Fee, gas limit and nonce parameters for the
+   *   transaction, see getTransactionOverrides
+   * @returns {Promise<Object>} The approval receipt
+   */
+  const approve = useCallback(async (approveAmount = amount, overrides = {}) => {
+    setPending(true);
+    try {
+      const sendApproval = (value, summary, transactionOverrides) =>
+        runTransaction({
+          type: TxType.APPROVE,
+          summary,
+          amounts: [toHistoryAmount(AmountRole.APPROVED, CurrencyAmount.fromRawAmount(currency, value.toString()))],
+          send: () =>
+            writeContractAsync({
+              address: currency.address,
+              abi: erc20Abi,
+              functionName: "approve",
+              args: [spender, value],
+              ...transactionOverrides,
+            }),
+        });
+
+      let approvalOverrides = overrides;
+      const { data: currentAllowance } = await refetchAllowance();
+      if (needsApprovalReset(currency.address, currentAllowance ?? 0n, approveAmount)) {
+        const reset = await sendApproval(0n, `Reset ${currency.symbol} approval`, overrides);
+        if (!wentThrough(reset)) {
+          throw new Error(`Approval reset transaction ${reset.status}`);
+        }
+        const { nonce: _nonce, ...rest } = overrides;
+        approvalOverrides = rest;
+      }
+
+      const result = await sendApproval(approveAmount, `Approve ${currency.symbol}`, approvalOverrides);
+      if (!wentThrough(result)) {
+        throw new Error(`Approval transaction ${result.status}`);
+      }
+      await refetchAllowance();
+      return result.receipt;
+    } finally {
+      setPending(false);
+    }
+  }, [amount, currency, spender, writeContractAsync, runTransaction, refetchAllowance]);
+
+  return { approvalState, allowance, approve, refetchAllowance };
+}
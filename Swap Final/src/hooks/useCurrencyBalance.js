@@ -0,0 +1,43 @@
+/**
+ * useCurrencyBalance Hook
+ *
+ * Reads the connected account's balance of a currency: the ETH balance for
+ * native Ether, balanceOf for ERC-20 tokens.
+ */
+
+// Wagmi hooks for the account, ETH balance and contract reads
+import { useAccount, useBalance, useReadContract } from "wagmi";
+
+// Viem's standard ERC-20 ABI
+import { erc20Abi } from "viem";
+
+// Uniswap SDK Core for amounts
+import { CurrencyAmount } from "@uniswap/sdk-core";
+
+/**
+ * @param {Currency} [currency] - Currency to read the balance of
+ * @returns {Object} { balance: CurrencyAmount | undefined, refetch }
+ */
+export function useCurrencyBalance(currency) {
+  const { address } = useAccount();
+  const isToken = Boolean(currency) && !currency.isNative;
+
+  const { data: nativeBalance, refetch: refetchNative } = useBalance({
+    address,
+    query: { enabled: Boolean(address) && Boolean(currency) && !isToken },
+  });
+
+  const { data: tokenBalance, refetch: refetchToken } = useReadContract({
+    abi: erc20Abi,
+    address: isToken ? currency.address : undefined,
+    functionName: "balanceOf",
+    args: [address],
+    query: { enabled: Boolean(address) && isToken },
+  });
+
+  const raw = isToken ? tokenBalance : nativeBalance?.value;
+  return {
+    balance: currency && raw !== undefined ? CurrencyAmount.fromRawAmount(currency, raw.toString()) : undefined,
+    refetch: isToken ? refetchToken : refetchNative,
+  };
+}
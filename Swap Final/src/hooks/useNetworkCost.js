@@ -0,0 +1,65 @@
+/**
+ * useNetworkCost Hook
+ *
+ * Keeps an estimate of what a set of contract calls will cost to send,
+ * re-estimating on every new block since both the fees and the state the
+ * calls run against change with each block. Fees come from the settings'
+ * fee preset or custom fees, the same ones the transactions will be sent with.
+ *
+ * Key React Concepts:
+ * - useEffect with a cleanup that stops watching blocks and ignores
+ *   estimates that finish after the calls changed
+ */
+
+import { useEffect, useState } from "react";
+
+// Shared public client for the local fork
+import { publicClient } from "../utils/client.js";
+
+// Gas and fee estimation
+import { estimateNetworkCost, getTransactionOverrides } from "../utils/gas.js";
+
+/**
+ * @param {Object[]} calls - [{ request, fallbackGas }], see estimateNetworkCost.
+ *   Must keep its identity between renders (e.g. from useMemo); an empty list
+ *   means there is nothing to estimate.
+ * @param {Object} settings - Settings with the fee preset and custom fees, see
+ *   getTransactionOverrides
+ * @returns {Object|null|undefined} The estimateNetworkCost result, undefined
+ *   while the first estimate runs and null when there is nothing to estimate
+ *   or the estimate failed
+ */
+export function useNetworkCost(calls, settings) {
+  const [networkCost, setNetworkCost] = useState(undefined);
+
+  useEffect(() => {
+    if (calls.length === 0) {
+      setNetworkCost(null);
+      return;
+    }
+
+    let cancelled = false;
+    setNetworkCost(undefined);
+    const unwatch = publicClient.watchBlockNumber({
+      emitOnBegin: true,
+      onBlockNumber: () => {
+        getTransactionOverrides(publicClient, settings)
+          .then(({ maxFeePerGas, maxPriorityFeePerGas }) =>
+            estimateNetworkCost(publicClient, calls, { maxFeePerGas, maxPriorityFeePerGas })
+          )
+          .then((estimate) => !cancelled && setNetworkCost(estimate))
+          .catch((error) => {
+            console.log(error);
+            if (!cancelled) setNetworkCost(null);
+          });
+      },
+      onError: (error) => console.log(error),
+    });
+    return () => {
+      cancelled = true;
+      unwatch();
+    };
+  }, [calls, settings]);
+
+  return networkCost;
+}
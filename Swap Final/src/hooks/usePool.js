@@ -0,0 +1,94 @@
+/**
+ * usePool Hook
+ *
+ * Loads the Uniswap V2 pair for two currencies together with its LP token
+ * supply, for the liquidity pages.
+ *
+ * Pool status:
+ * - LOADING: Reading the pair for the selected currencies
+ * - NOT_CREATED: The factory has no pair for the two tokens yet
+ * - EMPTY: The pair exists but holds no liquidity
+ * - READY: Reserves and LP supply are loaded
+ * - ERROR: The pair couldn't be read
+ *
+ * For NOT_CREATED and EMPTY pools the pair has zero reserves, so the first
+ * deposit sets the price.
+ */
+
+import { useCallback, useEffect, useState } from "react";
+
+// Uniswap SDK Core and V2 SDK for empty pairs
+import { CurrencyAmount } from "@uniswap/sdk-core";
+import { Pair } from "@uniswap/v2-sdk";
+
+// Shared public client for the local fork
+import { publicClient as client } from "../utils/client.js";
+
+// Pair loading
+import { fetchPair, fetchPairAddress, fetchTotalSupply } from "../utils/pairs.js";
+
+export const PoolStatus = {
+  LOADING: "LOADING",
+  NOT_CREATED: "NOT_CREATED",
+  EMPTY: "EMPTY",
+  READY: "READY",
+  ERROR: "ERROR",
+};
+
+/**
+ * Load Pool
+ *
+ * @param {Currency} currencyA - One side of the pair
+ * @param {Currency} currencyB - The other side
+ * @returns {Promise<Object>} { status, pair?, totalSupply? }
+ */
+async function loadPool(currencyA, currencyB) {
+  const [tokenA, tokenB] = [currencyA.wrapped, currencyB.wrapped];
+  try {
+    if (!(await fetchPairAddress(client, tokenA, tokenB))) {
+      const pair = new Pair(CurrencyAmount.fromRawAmount(tokenA, 0), CurrencyAmount.fromRawAmount(tokenB, 0));
+      return { status: PoolStatus.NOT_CREATED, pair, totalSupply: CurrencyAmount.fromRawAmount(pair.liquidityToken, 0) };
+    }
+    const pair = await fetchPair(client, tokenA, tokenB);
+    const totalSupply = await fetchTotalSupply(client, pair);
+    const hasLiquidity = pair.reserve0.greaterThan(0) && pair.reserve1.greaterThan(0);
+    return { status: hasLiquidity ? PoolStatus.READY : PoolStatus.EMPTY, pair, totalSupply };
+  } catch (error) {
+    console.log(error);
+    return { status: PoolStatus.ERROR };
+  }
+}
+
+/**
+ * Reloads whenever either currency changes; results for currencies that are
+ * no longer selected are ignored.
+ *
+ * @param {Currency} currencyA - One side of the pair
+ * @param {Currency} currencyB - The other side
+ * @returns {Object} { pool: { status, pair?, totalSupply? }, reloadPool }
+ */
+export function usePool(currencyA, currencyB) {
+  const [pool, setPool] = useState({ status: PoolStatus.LOADING });
+
+  useEffect(() => {
+    let cancelled = false;
+    setPool({ status: PoolStatus.LOADING });
+    loadPool(currencyA, currencyB).then((nextPool) => {
+      if (!cancelled) setPool(nextPool);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [currencyA, currencyB]);
+
+  /**
+   * Reload Pool
+   *
+   * Re-reads reserves and supply, e.g. after adding or removing liquidity.
+   */
+  const reloadPool = useCallback(async () => {
+    setPool(await loadPool(currencyA, currencyB));
+  }, [currencyA, currencyB]);
+
+  return { pool, reloadPool };
+}
@@ -0,0 +1,21 @@
+/**
+ * useSettings Hook
+ *
+ * Gives components access to the trading settings edited in SettingsModal.
+ * Must be used inside SettingsProvider.
+ */
+
+import { useContext } from "react";
+
+import { SettingsContext } from "../providers/SettingsContext.js";
+
+/**
+ * @returns {Object} { settings, saveSettings, clearNonce }
+ */
+export function useSettings() {
+  const context = useContext(SettingsContext);
+  if (!context) {
+    throw new Error("useSettings must be used inside SettingsProvider");
+  }
+  return context;
+}
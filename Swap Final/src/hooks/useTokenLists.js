@@ -0,0 +1,22 @@
+/**
+ * useTokenLists Hook
+ *
+ * Gives components access to the loaded token lists and the tokens they
+ * contain for the active chain. Must be used inside TokenListProvider.
+ */
+
+import { useContext } from "react";
+
+import { TokenListContext } from "../providers/TokenListContext.js";
+
+/**
+ * @returns {Object} { lists, tokens, userTokens, addListUrl, addListFile, removeList,
+ *   addUserToken, removeUserToken }
+ */
+export function useTokenLists() {
+  const context = useContext(TokenListContext);
+  if (!context) {
+    throw new Error("useTokenLists must be used inside TokenListProvider");
+  }
+  return context;
+}
@@ -0,0 +1,22 @@
+/**
+ * useTransactions Hook
+ *
+ * Gives components access to the transaction manager: sending transactions
+ * through it, reading their progress and the account's stored history.
+ * Must be used inside TransactionsProvider.
+ */
+
+import { useContext } from "react";
+
+import { TransactionsContext } from "../providers/TransactionsContext.js";
+
+/**
+ * @returns {Object} { transactions, history, runTransaction, replaceTransaction, dismissTransaction }
+ */
+export function useTransactions() {
+  const context = useContext(TransactionsContext);
+  if (!context) {
+    throw new Error("useTransactions must be used inside TransactionsProvider");
+  }
+  return context;
+}
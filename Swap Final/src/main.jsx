@@ -34,6 +34,18 @@ import App from './App.jsx'
 // This provider sets up wallet connection functionality using AppKit/WalletConnect
 import { AppKitProvider } from './providers/AppkitProvider.jsx'
 
+// Import the token list provider
+// This loads and validates the token lists used by the token picker
+import { TokenListProvider } from './providers/TokenListProvider.jsx'
+
+// Import the settings provider
+// This shares the slippage, deadline and approval settings between pages
+import { SettingsProvider } from './providers/SettingsProvider.jsx'
+
+// Import the transactions provider
+// This tracks sent transactions and drives the toast notifications
+import { TransactionsProvider } from './providers/TransactionsProvider.jsx'
+
 /**
  * Application Bootstrap Process
  * 
@@ -93,11 +105,19 @@ createRoot(document.getElementById('root')).render(
        * - React's development tools via StrictMode
        * 
        * This component hierarchy demonstrates the provider pattern:
-       * StrictMode -> AppKitProvider -> App -> (other components)
+       * StrictMode -> AppKitProvider -> TokenListProvider -> SettingsProvider -> TransactionsProvider -> App -> (other components)
        * 
        * Each level of nesting provides specific functionality to child components.
+       * TokenListProvider sits inside AppKitProvider so it can read the
+       * connected chain and filter list tokens by chain id.
        */}
-      <App />
+      <TokenListProvider>
+        <SettingsProvider>
+          <TransactionsProvider>
+            <App />
+          </TransactionsProvider>
+        </SettingsProvider>
+      </TokenListProvider>
     </AppKitProvider>
   </StrictMode>,
 )
@@ -0,0 +1,11 @@
+/**
+ * Settings Context
+ *
+ * React context shared by SettingsProvider (which fills it) and the
+ * useSettings hook (which reads it). Kept in its own module so the provider
+ * file only exports a component, which keeps Vite's fast refresh working.
+ */
+
+import { createContext } from "react";
+
+export const SettingsContext = createContext(null);
@@ -0,0 +1,67 @@
+/**
+ * SettingsProvider - Shared Trading Settings
+ *
+ * Holds the settings edited in SettingsModal (slippage, deadline, routing
+ * limits, approval policy and the advanced transaction parameters) so the
+ * swap and liquidity pages use the same values. Settings are remembered in
+ * localStorage for each account and reloaded when the account changes;
+ * per-token approval overrides are remembered for all accounts.
+ *
+ * Key React Concepts:
+ * - Context Providers: One source of truth for settings used by several pages
+ * - useMemo: The context value only changes when the settings do
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+
+// Wagmi hook for the connected account, whose settings are used
+import { useAccount } from "wagmi";
+
+// Settings and approval override persistence
+import { loadStoredSettings, saveStoredSettings } from "../utils/settings.js";
+import { loadApprovalOverrides, saveApprovalOverrides } from "../utils/approvalPolicy.js";
+
+import { SettingsContext } from "./SettingsContext.js";
+
+/**
+ * SettingsProvider React Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to render
+ * @returns {JSX.Element} The provider component tree
+ */
+export function SettingsProvider({ children }) {
+  const { address } = useAccount();
+  const [settings, setSettings] = useState(() => ({
+    ...loadStoredSettings(address),
+    approvalOverrides: loadApprovalOverrides(),
+  }));
+
+  useEffect(() => {
+    setSettings({ ...loadStoredSettings(address), approvalOverrides: loadApprovalOverrides() });
+  }, [address]);
+
+  /**
+   * Save Settings
+   *
+   * Called with the validated settings saved in SettingsModal.
+   */
+  const saveSettings = useCallback((nextSettings) => {
+    saveStoredSettings(address, nextSettings);
+    saveApprovalOverrides(nextSettings.approvalOverrides);
+    setSettings(nextSettings);
+  }, [address]);
+
+  /**
+   * Clear Nonce
+   *
+   * A manual nonce is meant for one transaction; this forgets it once used.
+   */
+  const clearNonce = useCallback(() => {
+    setSettings((current) => ({ ...current, nonce: "" }));
+  }, []);
+
+  const value = useMemo(() => ({ settings, saveSettings, clearNonce }), [settings, saveSettings, clearNonce]);
+
+  return <SettingsContext.Provider value={value}>{children}</SettingsContext.Provider>;
+}
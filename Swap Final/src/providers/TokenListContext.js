@@ -0,0 +1,11 @@
+/**
+ * Token List Context
+ *
+ * React context shared by TokenListProvider (which fills it) and the
+ * useTokenLists hook (which reads it). Kept in its own module so the provider
+ * file only exports a component, which keeps Vite's fast refresh working.
+ */
+
+import { createContext } from "react";
+
+export const TokenListContext = createContext(null);
@@ -0,0 +1,173 @@
+/**
+ * TokenListProvider - Token List Management
+ *
+ * Loads the token lists the token picker shows and shares them with the whole
+ * app through React context. The bundled default list is always present;
+ * lists added by URL are remembered in localStorage and re-fetched on load,
+ * lists added from a file last for the current session.
+ *
+ * Tokens imported by address (see TokenSelectModal) are kept in a separate,
+ * persisted "user tokens" list that is merged in after all other lists.
+ *
+ * Key React Concepts:
+ * - Context Providers: One source of truth for lists used by both token pickers
+ * - useMemo: Tokens are only rebuilt when the lists or chain change
+ * - useEffect: Fee-on-transfer flags from the lists are registered after
+ *   rendering, since that changes state shared outside React
+ */
+
+import { useCallback, useEffect, useMemo, useState } from "react";
+
+// Wagmi hook for the connected chain
+import { useAccount } from "wagmi";
+
+// Native ETH is always offered alongside the list tokens
+import { ETHER } from "../constants/tokens.js";
+
+// Bundled default list
+import defaultTokenList from "../constants/tokenlists/default.tokenlist.json";
+
+// Custom network configuration, used when no wallet is connected
+import { anvilFork } from "./AppkitProvider.jsx";
+
+// List loading and validation
+import { fetchTokenList, readTokenListFile, tokensFromLists, validateTokenList } from "../utils/tokenLists.js";
+
+// Fee-on-transfer flags from list extensions
+import { setKnownTransferFees } from "../utils/feeOnTransfer.js";
+
+import { TokenListContext } from "./TokenListContext.js";
+
+/**
+ * localStorage keys for user-added list URLs and imported tokens
+ */
+const STORAGE_KEY = "swap:tokenListUrls";
+const USER_TOKENS_KEY = "swap:userTokens";
+
+/**
+ * Bundled list entry, validated once at startup like any other list
+ */
+const BUNDLED_LIST = {
+  id: "bundled:default",
+  source: "bundled",
+  list: validateTokenList(defaultTokenList),
+};
+
+/**
+ * Read a saved array, ignoring missing or corrupt storage
+ */
+const readStoredArray = (key) => {
+  try {
+    const value = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+};
+
+const readStoredUrls = () => readStoredArray(STORAGE_KEY);
+
+/**
+ * TokenListProvider React Component
+ *
+ * Each list entry has the shape:
+ * { id, source: "bundled" | "url" | "file", url?, list?, loading?, error? }
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to render
+ * @returns {JSX.Element} The provider component tree
+ */
+export function TokenListProvider({ children }) {
+  const { chainId = anvilFork.id } = useAccount();
+
+  const [lists, setLists] = useState(() => [
+    BUNDLED_LIST,
+    ...readStoredUrls().map((url) => ({ id: url, source: "url", url, loading: true })),
+  ]);
+
+  /**
+   * Imported tokens, stored in token list format:
+   * { chainId, address, decimals, symbol, name }
+   */
+  const [userTokens, setUserTokens] = useState(() => readStoredArray(USER_TOKENS_KEY));
+
+  const updateList = useCallback((id, changes) => {
+    setLists((prev) => prev.map((entry) => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }, []);
+
+  const loadUrl = useCallback((url) => {
+    fetchTokenList(url)
+      .then((list) => updateList(url, { list, loading: false, error: undefined }))
+      .catch((error) => updateList(url, { loading: false, error: error.message }));
+  }, [updateList]);
+
+  // Re-fetch remembered URL lists once on startup
+  useEffect(() => {
+    readStoredUrls().forEach(loadUrl);
+  }, [loadUrl]);
+
+  // Remember URL lists across reloads
+  useEffect(() => {
+    const urls = lists.filter((entry) => entry.source === "url").map((entry) => entry.url);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(urls));
+  }, [lists]);
+
+  // Remember imported tokens across reloads
+  useEffect(() => {
+    localStorage.setItem(USER_TOKENS_KEY, JSON.stringify(userTokens));
+  }, [userTokens]);
+
+  const addUserToken = useCallback((token) => {
+    const info = {
+      chainId: token.chainId,
+      address: token.address,
+      decimals: token.decimals,
+      symbol: token.symbol,
+      name: token.name,
+    };
+    setUserTokens((prev) => [
+      ...prev.filter((existing) => existing.address.toLowerCase() !== info.address.toLowerCase() || existing.chainId !== info.chainId),
+      info,
+    ]);
+  }, []);
+
+  const removeUserToken = useCallback((address) => {
+    setUserTokens((prev) => prev.filter((existing) => existing.address.toLowerCase() !== address.toLowerCase()));
+  }, []);
+
+  const addListUrl = useCallback((url) => {
+    const trimmed = url.trim();
+    if (!trimmed || lists.some((entry) => entry.id === trimmed)) return;
+    setLists((prev) => [...prev, { id: trimmed, source: "url", url: trimmed, loading: true }]);
+    loadUrl(trimmed);
+  }, [lists, loadUrl]);
+
+  const addListFile = useCallback(async (file) => {
+    // Throws on invalid files so the caller can show the error
+    const list = await readTokenListFile(file);
+    setLists((prev) => [...prev, { id: `file:${file.name}:${Date.now()}`, source: "file", list }]);
+  }, []);
+
+  const removeList = useCallback((id) => {
+    setLists((prev) => prev.filter((entry) => entry.id !== id || entry.source === "bundled"));
+  }, []);
+
+  // User tokens go last so a list's entry wins if the token is listed later
+  const fromLists = useMemo(
+    () => tokensFromLists([...lists.filter((entry) => entry.list).map((entry) => entry.list), { tokens: userTokens }], chainId),
+    [lists, userTokens, chainId]
+  );
+  const tokens = useMemo(() => [ETHER, ...fromLists.tokens], [fromLists]);
+
+  // Register listed transfer fees so the swap pipeline never simulates those tokens
+  useEffect(() => {
+    fromLists.transferFees.forEach((fees, address) => setKnownTransferFees(address, fees));
+  }, [fromLists]);
+
+  const value = useMemo(
+    () => ({ lists, tokens, userTokens, addListUrl, addListFile, removeList, addUserToken, removeUserToken }),
+    [lists, tokens, userTokens, addListUrl, addListFile, removeList, addUserToken, removeUserToken]
+  );
+
+  return <TokenListContext.Provider value={value}>{children}</TokenListContext.Provider>;
+}
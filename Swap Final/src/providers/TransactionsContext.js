@@ -0,0 +1,11 @@
+/**
+ * Transactions Context
+ *
+ * React context shared by TransactionsProvider (which fills it) and the
+ * useTransactions hook (which reads it). Kept in its own module so the
+ * provider file only exports a component, which keeps Vite's fast refresh working.
+ */
+
+import { createContext } from "react";
+
+export const TransactionsContext = createContext(null);
@@ -0,0 +1,266 @@
+/**
+ * TransactionsProvider - Transaction Manager
+ *
+ * Sends transactions on behalf of the pages and tracks each one through its
+ * lifecycle (see utils/transactions.js). The tracked transactions drive the
+ * toast notifications and let pages disable their buttons while one of their
+ * transactions is in flight.
+ *
+ * Every submitted transaction is also written to the connected account's
+ * history (see utils/history.js), which is loaded again after a reload.
+ * Entries that were still pending when the page closed are picked up again:
+ * tracking resumes if the node still knows them, otherwise their nonce tells
+ * whether they were dropped or replaced in the meantime.
+ *
+ * A transaction still waiting to be mined can be sped up or cancelled by
+ * sending a replacement with the same nonce. The original keeps being
+ * tracked, and viem's replacement detection reports it as replaced once the
+ * replacement is mined.
+ *
+ * Key React Concepts:
+ * - Context Providers: Progress is visible outside the page that sent it
+ * - Functional state updates: Several async flows update the list at once
+ */
+
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+
+// Wagmi hooks for the connected account and replacement transactions
+import { useAccount, useSendTransaction } from "wagmi";
+
+// Shared public client for waiting on receipts
+import { publicClient } from "../utils/client.js";
+
+// Lifecycle stages and receipt tracking
+import {
+  describeTxError,
+  fetchNonce,
+  findLostOutcome,
+  isPending,
+  ReplaceAction,
+  TRANSFER_GAS,
+  TxStatus,
+  waitForTransaction,
+} from "../utils/transactions.js";
+
+// Higher fees for replacement transactions
+import { getReplacementFees } from "../utils/gas.js";
+
+// Persistent history
+import { completeHistoryEntry, createHistoryEntry, loadHistory, saveHistoryEntry } from "../utils/history.js";
+
+import { TransactionsContext } from "./TransactionsContext.js";
+
+/**
+ * TransactionsProvider React Component
+ *
+ * @param {Object} props - Component props
+ * @param {React.ReactNode} props.children - Child components to render
+ * @returns {JSX.Element} The provider component tree
+ */
+export function TransactionsProvider({ children }) {
+  const { address } = useAccount();
+  const { sendTransactionAsync } = useSendTransaction();
+  const chainId = publicClient.chain.id;
+
+  /**
+   * Tracked Transactions
+   *
+   * Sent in this session, newest first: [{ id, type, summary, status, hash,
+   * confirmations, replacedBy, replaceReason, error, dismissed }], plus
+   * { replacing, replacementHash, replaceError } while a speed-up or
+   * cancellation is being sent
+   */
+  const [transactions, setTransactions] = useState([]);
+  const nextId = useRef(1);
+
+  /**
+   * History
+   *
+   * The connected account's stored entries on this chain, newest first.
+   */
+  const [history, setHistory] = useState([]);
+
+  // Entries finishing after an account switch are saved but not shown
+  const addressRef = useRef(address);
+  useEffect(() => {
+    addressRef.current = address;
+  }, [address]);
+
+  const updateTransaction = useCallback((id, patch) => {
+    setTransactions((current) => current.map((tx) => (tx.id === id ? { ...tx, ...patch } : tx)));
+  }, []);
+
+  const addTransaction = useCallback((record) => {
+    const id = nextId.current++;
+    setTransactions((current) => [{ ...record, id, dismissed: false }, ...current]);
+    return id;
+  }, []);
+
+  /**
+   * Record History
+   *
+   * Saves an entry and shows it right away if it belongs to the connected account.
+   */
+  const recordHistory = useCallback(async (entry) => {
+    setHistory((current) =>
+      entry.account === addressRef.current ? [entry, ...current.filter(({ key }) => key !== entry.key)] : current
+    );
+    try {
+      await saveHistoryEntry(entry);
+    } catch (error) {
+      console.log(error);
+    }
+  }, []);
+
+  /**
+   * Track Submitted
+   *
+   * Follows a submitted transaction to its outcome and records it. If
+   * tracking itself fails (e.g. the node is unreachable) the history entry
+   * stays pending, so it is picked up again on the next load.
+   *
+   * @returns {Promise<Object>} See waitForTransaction
+   */
+  const trackSubmitted = useCallback(async (id, entry) => {
+    try {
+      const result = await waitForTransaction(publicClient, entry, (patch) => {
+        updateTransaction(id, patch);
+        // Saved so a reload resumes counting confirmations
+        if (patch.status === TxStatus.CONFIRMING) recordHistory({ ...entry, status: TxStatus.CONFIRMING });
+      });
+      updateTransaction(id, { status: result.status });
+      recordHistory(completeHistoryEntry(entry, result.status, result.receipt, result.replaceReason));
+      return result;
+    } catch (error) {
+      updateTransaction(id, { status: TxStatus.FAILED, error: describeTxError(error) });
+      throw error;
+    }
+  }, [updateTransaction, recordHistory]);
+
+  /**
+   * Resume Pending
+   *
+   * Re-attaches to a history entry that was pending when the page closed.
+   * Each entry is resumed once per session.
+   */
+  const resumed = useRef(new Set());
+  const resumePending = useCallback(async (entry) => {
+    if (resumed.current.has(entry.key)) return;
+    resumed.current.add(entry.key);
+
+    const id = addTransaction({ type: entry.type, summary: entry.summary, status: entry.status, hash: entry.hash });
+    try {
+      const lost = await findLostOutcome(publicClient, entry);
+      if (lost) {
+        updateTransaction(id, { status: lost });
+        recordHistory(completeHistoryEntry(entry, lost));
+        return;
+      }
+      await trackSubmitted(id, entry);
+    } catch (error) {
+      console.log(error);
+      updateTransaction(id, { status: TxStatus.FAILED, error: describeTxError(error) });
+    }
+  }, [addTransaction, updateTransaction, recordHistory, trackSubmitted]);
+
+  useEffect(() => {
+    if (!address) {
+      setHistory([]);
+      return;
+    }
+    let cancelled = false;
+    loadHistory(chainId, address)
+      .then((entries) => {
+        if (cancelled) return;
+        setHistory(entries);
+        entries.filter((entry) => isPending(entry.status)).forEach(resumePending);
+      })
+      .catch((error) => console.log(error));
+    return () => {
+      cancelled = true;
+    };
+  }, [address, chainId, resumePending]);
+
+  /**
+   * Run Transaction
+   *
+   * Asks the wallet to send a transaction and follows it to its outcome,
+   * recording it in the history from the moment it is submitted.
+   * Errors before submission (e.g. a rejected signature) are recorded and rethrown.
+   *
+   * @param {Object} params - Transaction parameters
+   * @param {string} params.type - A TxType from utils/history.js
+   * @param {string} params.summary - Short description shown in the toast
+   * @param {Object[]} [params.amounts] - Quoted amounts, see toHistoryAmount
+   * @param {Function} params.send - Sends the transaction and resolves to its hash
+   * @returns {Promise<Object>} { status, receipt, replaceReason }, see waitForTransaction
+   */
+  const runTransaction = useCallback(async ({ type, summary, amounts, send }) => {
+    const id = addTransaction({ type, summary, status: TxStatus.AWAITING_SIGNATURE });
+
+    let hash;
+    try {
+      hash = await send();
+    } catch (error) {
+      updateTransaction(id, { status: TxStatus.FAILED, error: describeTxError(error) });
+      throw error;
+    }
+
+    updateTransaction(id, { status: TxStatus.SUBMITTED, hash });
+    // Saved right away so a reload can't lose it, then again with its nonce
+    let entry = createHistoryEntry({ chainId, account: address, hash, type, summary, status: TxStatus.SUBMITTED, amounts });
+    recordHistory(entry);
+    entry = { ...entry, nonce: await fetchNonce(publicClient, hash) };
+    recordHistory(entry);
+
+    return trackSubmitted(id, entry);
+  }, [address, chainId, addTransaction, updateTransaction, recordHistory, trackSubmitted]);
+
+  /**
+   * Replace Transaction
+   *
+   * Speeds up or cancels a transaction that hasn't been mined yet by sending
+   * a replacement with the same nonce and higher fees (see getReplacementFees).
+   * Errors are shown on the transaction's toast.
+   *
+   * @param {Object} tx - The tracked transaction
+   * @param {string} action - A ReplaceAction
+   */
+  const replaceTransaction = useCallback(async (tx, action) => {
+    updateTransaction(tx.id, { replacing: action, replacementHash: null, replaceError: null });
+    try {
+      const original = await publicClient.getTransaction({ hash: tx.hash });
+      if (original.blockNumber !== null) {
+        throw new Error("Already mined");
+      }
+      if (original.from.toLowerCase() !== address?.toLowerCase()) {
+        throw new Error(`Connect ${original.from} to replace this transaction`);
+      }
+
+      const fees = await getReplacementFees(publicClient, original);
+      const request =
+        action === ReplaceAction.SPEED_UP
+          ? { to: original.to, data: original.input, value: original.value, gas: original.gas }
+          : { to: original.from, value: 0n, gas: TRANSFER_GAS };
+      const replacementHash = await sendTransactionAsync({ ...request, nonce: original.nonce, ...fees });
+      updateTransaction(tx.id, { replacementHash });
+    } catch (error) {
+      console.log(error);
+      updateTransaction(tx.id, { replacing: null, replaceError: describeTxError(error) });
+    }
+  }, [address, sendTransactionAsync, updateTransaction]);
+
+  /**
+   * Dismiss Transaction
+   *
+   * Hides a transaction's toast; it stays in the list.
+   */
+  const dismissTransaction = useCallback((id) => updateTransaction(id, { dismissed: true }), [updateTransaction]);
+
+  const value = useMemo(
+    () => ({ transactions, history, runTransaction, replaceTransaction, dismissTransaction }),
+    [transactions, history, runTransaction, replaceTransaction, dismissTransaction]
+  );
+
+  return <TransactionsContext.Provider value={value}>{children}</TransactionsContext.Provider>;
+}
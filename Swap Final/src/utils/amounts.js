@@ -0,0 +1,151 @@
+/**
+ * Amount Utilities
+ *
+ * A single place for converting between what the user types or sees and the
+ * raw integer amounts the contracts use. Every conversion goes through the
+ * token's own decimals (18 for DAI/WETH, 6 for USDC/USDT, 8 for WBTC), so no
+ * code path assumes 18 decimals the way parseEther/formatEther do.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Raw Amount: Integer in the token's smallest unit (e.g., 1 USDC = 1000000)
+ * - Decimals: How many places the raw amount is shifted for display
+ * - CurrencyAmount: sdk-core wrapper that keeps a raw amount and its token together
+ */
+
+// Uniswap SDK Core for token-aware amounts
+import { CurrencyAmount } from "@uniswap/sdk-core";
+
+// Viem unit conversion
+import { parseUnits } from "viem";
+
+/**
+ * Largest exponent accepted in scientific notation input,
+ * well above any real token amount but small enough to stay cheap to expand
+ */
+const MAX_EXPONENT = 100;
+
+/**
+ * Expand Scientific Notation
+ *
+ * Turns "1.5e-6" into "0.0000015" with string operations only, so no
+ * precision is lost to floating point.
+ *
+ * @param {string} mantissa - Digits with an optional decimal point
+ * @param {number} exponent - Power of ten
+ * @returns {string} Plain decimal string
+ */
+function expandExponent(mantissa, exponent) {
+  const [intPart, fracPart = ""] = mantissa.split(".");
+  const digits = intPart + fracPart;
+  const point = intPart.length + exponent;
+
+  if (point <= 0) return `0.${"0".repeat(-point)}${digits}`;
+  if (point >= digits.length) return digits + "0".repeat(point - digits.length);
+  return `${digits.slice(0, point)}.${digits.slice(point)}`;
+}
+
+/**
+ * Normalize Amount Input
+ *
+ * Accepts the ways people commonly type numbers and returns a plain
+ * "123.456" string:
+ * - Decimal comma: "1,5" -> "1.5"
+ * - Group separators: "1,234.5", "1.234,5", "1 234,5" -> "1234.5"
+ * - Scientific notation: "2e-3" -> "0.002"
+ *
+ * @param {string} value - Raw input text
+ * @returns {string} Normalized decimal string ("" for empty input)
+ * @throws {Error} If the text is not a non-negative number
+ */
+export function normalizeAmountInput(value) {
+  let text = String(value ?? "").trim().replace(/[\s_']/g, "");
+  if (text === "") return "";
+
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal separator
+    text = lastComma > lastDot
+      ? text.replace(/\./g, "").replace(",", ".")
+      : text.replace(/,/g, "");
+  } else if (lastComma !== -1) {
+    // A single comma is a decimal comma, several are group separators
+    text = text.indexOf(",") === lastComma ? text.replace(",", ".") : text.replace(/,/g, "");
+  }
+
+  const scientific = text.match(/^(\d*\.?\d*)e([+-]?\d+)$/i);
+  if (scientific) {
+    const exponent = parseInt(scientific[2], 10);
+    if (Math.abs(exponent) > MAX_EXPONENT) {
+      throw new Error("Amount is out of range");
+    }
+    text = expandExponent(scientific[1], exponent);
+  }
+
+  if (!/^\d*\.?\d*$/.test(text) || text === ".") {
+    throw new Error("Enter a valid amount");
+  }
+  return text;
+}
+
+/**
+ * Parse Amount
+ *
+ * Converts user input into a CurrencyAmount of the given token.
+ *
+ * @param {string} value - Raw input text
+ * @param {Currency} currency - Token (or native ETH) the amount is in
+ * @returns {CurrencyAmount|null} The amount, or null for empty/zero input
+ * @throws {Error} If the input is invalid or more precise than the token allows
+ */
+export function parseAmount(value, currency) {
+  const normalized = normalizeAmountInput(value);
+  if (normalized === "") return null;
+
+  // Trailing zeros don't add precision, so "1.5000000" is fine for USDC
+  const fraction = (normalized.split(".")[1] ?? "").replace(/0+$/, "");
+  if (fraction.length > currency.decimals) {
+    throw new Error(`${currency.symbol} supports at most ${currency.decimals} decimal places`);
+  }
+
+  const [intPart, fracPart = ""] = normalized.split(".");
+  const raw = parseUnits(`${intPart || "0"}.${fracPart.slice(0, currency.decimals) || "0"}`, currency.decimals);
+  if (raw === 0n) return null;
+
+  return CurrencyAmount.fromRawAmount(currency, raw.toString());
+}
+
+/**
+ * Convert a CurrencyAmount to the raw bigint the contracts expect
+ *
+ * @param {CurrencyAmount} currencyAmount - Amount in the token's smallest unit
+ * @returns {bigint} Raw on-chain amount
+ */
+export function toRawAmount(currencyAmount) {
+  return BigInt(currencyAmount.quotient.toString());
+}
+
+/**
+ * Format Amount
+ *
+ * @param {CurrencyAmount} currencyAmount - Amount to display
+ * @param {number} significantDigits - Digits to keep
+ * @returns {string} Human readable amount, e.g. "1234.57"
+ */
+export function formatAmount(currencyAmount, significantDigits = 6) {
+  return currencyAmount.toSignificant(significantDigits);
+}
+
+/**
+ * Format Raw Amount
+ *
+ * Formats a raw on-chain value (e.g. a balanceOf result) using the token's decimals.
+ *
+ * @param {bigint} raw - Raw amount in the token's smallest unit
+ * @param {Currency} currency - Token (or native ETH) the amount is in
+ * @param {number} significantDigits - Digits to keep
+ * @returns {string} Human readable amount
+ */
+export function formatRawAmount(raw, currency, significantDigits = 6) {
+  return formatAmount(CurrencyAmount.fromRawAmount(currency, raw.toString()), significantDigits);
+}
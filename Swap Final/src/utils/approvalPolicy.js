@@ -0,0 +1,149 @@
+/**
+ * Approval Policy Utilities
+ *
+ * Decides how much to approve when the router's allowance is too low.
+ *
+ * Modes:
+ * - Exact: Approve exactly what the trade needs. Safest, but every trade
+ *   needs a new approval transaction.
+ * - Unlimited: Approve the maximum uint256 once. Saves gas on later trades,
+ *   but the router can spend any amount of the token until revoked.
+ * - Custom: Approve up to a chosen cap, raised to the trade's needs if lower.
+ *
+ * A default policy applies to every token; per-token overrides replace it for
+ * single tokens and are remembered in localStorage.
+ */
+
+// Viem constant for unlimited approvals
+import { maxUint256 } from "viem";
+
+// Decimal-aware amount handling
+import { formatRawAmount, parseAmount, toRawAmount } from "./amounts.js";
+
+// Tokens that must be reset to 0 before a new approval
+import { APPROVAL_RESET_TOKENS } from "../constants/tokens.js";
+
+export const ApprovalMode = {
+  EXACT: "exact",
+  UNLIMITED: "unlimited",
+  CUSTOM: "custom",
+};
+
+/**
+ * localStorage key for per-token overrides
+ */
+const OVERRIDES_KEY = "swap:approvalOverrides";
+
+/**
+ * Load Approval Overrides
+ *
+ * @returns {Object} { [lowercased token address]: { mode, cap } }
+ */
+export function loadApprovalOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem(OVERRIDES_KEY)) ?? {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Save Approval Overrides
+ *
+ * @param {Object} overrides - { [lowercased token address]: { mode, cap } }
+ */
+export function saveApprovalOverrides(overrides) {
+  localStorage.setItem(OVERRIDES_KEY, JSON.stringify(overrides));
+}
+
+/**
+ * Get Approval Policy
+ *
+ * @param {Object} settings - Swap settings with approvalMode, approvalCap and approvalOverrides
+ * @param {Token} token - Token being approved
+ * @returns {Object} { mode, cap, isOverride }
+ */
+export function getApprovalPolicy(settings, token) {
+  const override = settings.approvalOverrides?.[token.address.toLowerCase()];
+  if (override) return { ...override, isOverride: true };
+  return { mode: settings.approvalMode ?? ApprovalMode.EXACT, cap: settings.approvalCap, isOverride: false };
+}
+
+/**
+ * Parse Approval Cap
+ *
+ * @param {string} cap - Cap in token units as entered
+ * @param {Token} token - Token the cap is for
+ * @returns {bigint} Raw cap
+ * @throws {Error} If the cap isn't an amount of the token above 0
+ */
+export function parseApprovalCap(cap, token) {
+  const parsed = parseAmount(cap, token);
+  if (!parsed) throw new Error("Enter a cap above 0");
+  return toRawAmount(parsed);
+}
+
+/**
+ * Get Approval Amount
+ *
+ * A custom cap that isn't valid for the token (e.g. more decimals than it
+ * has) falls back to the exact amount; describeApproval says so.
+ *
+ * @param {Object} policy - Policy from getApprovalPolicy
+ * @param {Token} token - Token being approved
+ * @param {bigint} required - Raw amount the trade needs
+ * @returns {bigint} Raw amount to approve
+ */
+export function getApprovalAmount(policy, token, required) {
+  if (policy.mode === ApprovalMode.UNLIMITED) return maxUint256;
+  if (policy.mode === ApprovalMode.CUSTOM) {
+    let cap;
+    try {
+      cap = parseApprovalCap(policy.cap, token);
+    } catch {
+      return required;
+    }
+    return cap > required ? cap : required;
+  }
+  return required;
+}
+
+/**
+ * Needs Approval Reset
+ *
+ * @param {string} tokenAddress - Token being approved
+ * @param {bigint} currentAllowance - The spender's allowance right now
+ * @param {bigint} amount - Raw amount about to be approved
+ * @returns {boolean} Whether approve(spender, 0) must be mined first, for
+ *   tokens in APPROVAL_RESET_TOKENS changing one non-zero allowance to another
+ */
+export function needsApprovalReset(tokenAddress, currentAllowance, amount) {
+  const listed = APPROVAL_RESET_TOKENS.some((address) => address.toLowerCase() === tokenAddress.toLowerCase());
+  return listed && currentAllowance > 0n && amount > 0n;
+}
+
+/**
+ * Describe Approval
+ *
+ * Text shown next to the approve button so the user knows what the wallet
+ * prompt will ask for before it opens.
+ *
+ * @param {Object} policy - Policy from getApprovalPolicy
+ * @param {Token} token - Token being approved
+ * @param {bigint} amount - Raw amount that will be approved
+ * @returns {string} e.g. "Exact amount: 12.5 DAI"
+ */
+export function describeApproval(policy, token, amount) {
+  const source = policy.isOverride ? ` (${token.symbol} override)` : "";
+  if (policy.mode === ApprovalMode.UNLIMITED) return `Unlimited ${token.symbol}${source}`;
+  const formatted = `${formatRawAmount(amount, token)} ${token.symbol}`;
+  if (policy.mode === ApprovalMode.CUSTOM) {
+    try {
+      parseApprovalCap(policy.cap, token);
+    } catch (error) {
+      return `Exact amount: ${formatted}, custom cap${source} ignored: ${error.message}`;
+    }
+    return `Custom cap: ${formatted}${source}`;
+  }
+  return `Exact amount: ${formatted}${source}`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Approval Scanning Utilities
+ *
+ * Finds every spender the connected account has approved, so approvals can
+ * be reviewed and revoked. Spenders are discovered from the ERC-20 Approval
+ * events emitted with the account as owner; the Uniswap router is always
+ * checked for every known token as well.
+ *
+ * Only blocks mined on the local chain are scanned (see getScanStartBlock).
+ */
+
+// Viem's ERC-20 ABI (for the Approval event and allowance reads)
+import { erc20Abi, getAddress } from "viem";
+
+// Router address, always checked
+import { ROUTER_ADDRESS } from "../constants/tokens.js";
+
+// Metadata lookup for tokens that are on no list
+import { fetchToken } from "./tokenMetadata.js";
+
+// First block with local history
+import { getScanStartBlock } from "./logs.js";
+
+const approvalEvent = erc20Abi.find((item) => item.type === "event" && item.name === "Approval");
+
+/**
+ * Scan Approvals
+ *
+ * @param {Object} client - Viem public client
+ * @param {string} owner - Account whose approvals to list
+ * @param {Token[]} knownTokens - Tokens to check the router allowance for,
+ *   also used to resolve metadata without extra calls
+ * @returns {Promise<Object[]>} [{ token, spender, allowance }] with a non-zero allowance
+ */
+export async function scanApprovals(client, owner, knownTokens) {
+  const fromBlock = await getScanStartBlock(client);
+  const logs = await client.getLogs({ event: approvalEvent, args: { owner }, fromBlock, toBlock: "latest" });
+
+  // Unique token/spender combinations, starting with the router for every known token
+  const candidates = new Map();
+  const addCandidate = (tokenAddress, spender) => {
+    const key = `${tokenAddress.toLowerCase()}-${spender.toLowerCase()}`;
+    if (!candidates.has(key)) candidates.set(key, { tokenAddress: getAddress(tokenAddress), spender: getAddress(spender) });
+  };
+  knownTokens.forEach((token) => addCandidate(token.address, ROUTER_ADDRESS));
+  logs.forEach((log) => addCandidate(log.address, log.args.spender));
+
+  const entries = await Promise.all(
+    [...candidates.values()].map(async ({ tokenAddress, spender }) => {
+      const allowance = await client
+        .readContract({ address: tokenAddress, abi: erc20Abi, functionName: "allowance", args: [owner, spender] })
+        .catch(() => 0n);
+      return { tokenAddress, spender, allowance };
+    })
+  );
+
+  const active = entries.filter(({ allowance }) => allowance > 0n);
+
+  return Promise.all(
+    active.map(async ({ tokenAddress, spender, allowance }) => {
+      const known = knownTokens.find((token) => token.address.toLowerCase() === tokenAddress.toLowerCase());
+      const token = known ?? (await fetchToken(client, tokenAddress).catch(() => null));
+      return { token, tokenAddress, spender, allowance };
+    })
+  );
+}
@@ -0,0 +1,18 @@
+/**
+ * Public Client
+ *
+ * A single viem public client for read-only chain access (contract reads,
+ * simulations, receipts). Components and utilities share this instance
+ * instead of each creating their own.
+ */
+
+// Viem client factory and HTTP transport
+import { createPublicClient, http } from "viem";
+
+// Custom network configuration
+import { anvilFork } from "../providers/AppkitProvider.jsx";
+
+export const publicClient = createPublicClient({
+  chain: anvilFork,
+  transport: http(anvilFork.rpcUrls.default.http[0]),
+});
@@ -0,0 +1,87 @@
+/**
+ * IndexedDB Utilities
+ *
+ * A small promise wrapper around the app's IndexedDB database, used for
+ * caches too large for localStorage and for the transaction history.
+ *
+ * Object stores:
+ * - pairs: Factory pairs by "<chainId>:<index>", indexed by chainId
+ * - tokens: Token metadata by "<chainId>:<address>", indexed by chainId
+ * - transactions: Transaction history by "<chainId>:<hash>", indexed by accountKey
+ *   ("<chainId>:<account>", account lowercased)
+ */
+
+const DB_NAME = "swap";
+const DB_VERSION = 2;
+
+let databasePromise;
+
+/**
+ * Wrap an IDBRequest in a promise
+ */
+const promisify = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Open Database
+ *
+ * Opened once and shared; stores are created on first use, and stores added
+ * in later versions are created when an older database is upgraded.
+ *
+ * @returns {Promise<IDBDatabase>} The database
+ */
+function openDatabase() {
+  databasePromise ??= new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore("pairs", { keyPath: "key" }).createIndex("chainId", "chainId");
+        db.createObjectStore("tokens", { keyPath: "key" }).createIndex("chainId", "chainId");
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore("transactions", { keyPath: "key" }).createIndex("accountKey", "accountKey");
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  return databasePromise;
+}
+
+/**
+ * Get All By Index
+ *
+ * @param {string} storeName - Object store
+ * @param {string} indexName - Index to query
+ * @param {*} value - Index value to match
+ * @returns {Promise<Object[]>} Matching records
+ */
+export async function getAllByIndex(storeName, indexName, value) {
+  const db = await openDatabase();
+  const store = db.transaction(storeName, "readonly").objectStore(storeName);
+  return promisify(store.index(indexName).getAll(value));
+}
+
+/**
+ * Put All
+ *
+ * Writes records in one transaction, replacing records with the same key.
+ *
+ * @param {string} storeName - Object store
+ * @param {Object[]} records - Records to write
+ * @returns {Promise<void>} Resolves when the transaction completes
+ */
+export async function putAll(storeName, records) {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeName, "readwrite");
+  const store = transaction.objectStore(storeName);
+  records.forEach((record) => store.put(record));
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
@@ -0,0 +1,241 @@
+/**
+ * Pool Explorer Utilities
+ *
+ * Pages through every pair the Uniswap V2 factory has deployed
+ * (allPairsLength / allPairs), reads each pair's tokens and reserves plus the
+ * tokens' metadata with Multicall3, and caches the results in IndexedDB so
+ * pages already seen show up instantly on the next visit.
+ *
+ * Key Web3/DeFi Concepts:
+ * - allPairs: The factory's on-chain array of pair addresses, in creation order
+ * - Multicall: Many view calls batched into a single eth_call
+ * - Liquidity in ETH: Reserves of different tokens can't be compared directly,
+ *   so pairs are ranked by their value in WETH, priced through WETH pairs
+ */
+
+// Viem's ERC-20 ABI for token metadata
+import { erc20Abi, getAddress } from "viem";
+
+// Uniswap SDK Core and V2 SDK for tokens, amounts and pair math
+import { CurrencyAmount, Token } from "@uniswap/sdk-core";
+import { Pair } from "@uniswap/v2-sdk";
+
+// Uniswap V2 ABIs
+import IUniswapV2PairABI from "@uniswap/v2-periphery/build/IUniswapV2Pair.json";
+import IUniswapV2FactoryABI from "@uniswap/v2-periphery/build/IUniswapV2Factory.json";
+
+// Contract addresses
+import { FACTORY_ADDRESS, MULTICALL3_ADDRESS, WETH } from "../constants/tokens.js";
+
+// Fallback metadata lookup (bytes32 names and symbols)
+import { fetchToken } from "./tokenMetadata.js";
+
+// IndexedDB cache
+import { getAllByIndex, putAll } from "./db.js";
+
+/**
+ * Pairs loaded per page
+ */
+export const PAGE_SIZE = 100;
+
+/**
+ * Multicall
+ *
+ * @returns {Promise<Array>} [{ status, result }] per call
+ */
+const multicall = (client, contracts) =>
+  client.multicall({ contracts, allowFailure: true, multicallAddress: MULTICALL3_ADDRESS });
+
+/**
+ * Fetch All Pairs Length
+ *
+ * @param {Object} client - Viem public client
+ * @returns {Promise<number>} Number of pairs the factory has deployed
+ */
+export async function fetchAllPairsLength(client) {
+  const length = await client.readContract({
+    address: FACTORY_ADDRESS,
+    abi: IUniswapV2FactoryABI.abi,
+    functionName: "allPairsLength",
+  });
+  return Number(length);
+}
+
+/**
+ * Load Cache
+ *
+ * @param {number} chainId - Chain to load
+ * @returns {Promise<Object>} { pairs: pair records sorted by index, tokens: Map of token records by address }
+ */
+export async function loadExplorerCache(chainId) {
+  const [pairs, tokens] = await Promise.all([
+    getAllByIndex("pairs", "chainId", chainId),
+    getAllByIndex("tokens", "chainId", chainId),
+  ]);
+  return {
+    pairs: pairs.sort((a, b) => a.index - b.index),
+    tokens: new Map(tokens.map((token) => [token.address, token])),
+  };
+}
+
+/**
+ * Fetch Token Records
+ *
+ * Reads metadata for tokens that aren't cached yet. Tokens whose name or
+ * symbol isn't a string fall back to fetchToken's bytes32 decoding; tokens
+ * without decimals are left out.
+ */
+async function fetchTokenRecords(client, addresses) {
+  const fields = ["decimals", "symbol", "name"];
+  const results = await multicall(
+    client,
+    addresses.flatMap((address) => fields.map((functionName) => ({ address, abi: erc20Abi, functionName })))
+  );
+
+  const records = await Promise.all(
+    addresses.map(async (address, i) => {
+      const [decimals, symbol, name] = results.slice(i * 3, i * 3 + 3);
+      if (decimals.status !== "success") return null;
+      if (symbol.status === "success" && name.status === "success") {
+        return { address, decimals: Number(decimals.result), symbol: symbol.result, name: name.result };
+      }
+      const token = await fetchToken(client, address).catch(() => null);
+      return token && { address, decimals: token.decimals, symbol: token.symbol, name: token.name };
+    })
+  );
+
+  return records
+    .filter((record) => record && record.decimals < 255)
+    .map((record) => ({ ...record, key: `${client.chain.id}:${record.address}`, chainId: client.chain.id }));
+}
+
+/**
+ * Fetch Pair Page
+ *
+ * Reads pairs start..start+count-1 from the factory, with their tokens,
+ * reserves and any token metadata not in knownTokens, and caches them.
+ *
+ * @param {Object} client - Viem public client
+ * @param {number} start - First allPairs index
+ * @param {number} count - Number of pairs to read
+ * @param {Map} knownTokens - Token records already cached, by address
+ * @returns {Promise<Object>} { pairs: pair records, tokens: new token records }
+ */
+export async function fetchPairPage(client, start, count, knownTokens) {
+  const chainId = client.chain.id;
+  const indexes = Array.from({ length: count }, (_, i) => start + i);
+
+  const addressResults = await multicall(
+    client,
+    indexes.map((index) => ({
+      address: FACTORY_ADDRESS,
+      abi: IUniswapV2FactoryABI.abi,
+      functionName: "allPairs",
+      args: [BigInt(index)],
+    }))
+  );
+  const addresses = addressResults.map(({ result }) => result);
+
+  const fields = ["token0", "token1", "getReserves"];
+  const detailResults = await multicall(
+    client,
+    addresses.flatMap((address) =>
+      fields.map((functionName) => ({ address, abi: IUniswapV2PairABI.abi, functionName }))
+    )
+  );
+
+  const pairs = [];
+  addresses.forEach((address, i) => {
+    const [token0, token1, reserves] = detailResults.slice(i * 3, i * 3 + 3);
+    if (!address || [token0, token1, reserves].some(({ status }) => status !== "success")) return;
+    pairs.push({
+      key: `${chainId}:${indexes[i]}`,
+      chainId,
+      index: indexes[i],
+      address: getAddress(address),
+      token0: getAddress(token0.result),
+      token1: getAddress(token1.result),
+      reserve0: reserves.result[0].toString(),
+      reserve1: reserves.result[1].toString(),
+      updatedAt: Date.now(),
+    });
+  });
+
+  const missingTokens = [...new Set(pairs.flatMap((pair) => [pair.token0, pair.token1]))].filter(
+    (address) => !knownTokens.has(address)
+  );
+  const tokens = missingTokens.length > 0 ? await fetchTokenRecords(client, missingTokens) : [];
+
+  await Promise.all([putAll("pairs", pairs), putAll("tokens", tokens)]);
+  return { pairs, tokens };
+}
+
+/**
+ * Build Pairs
+ *
+ * Turns cached records into v2-sdk Pairs. Pairs with a token whose metadata
+ * couldn't be read are left out.
+ *
+ * @param {Object[]} pairRecords - Pair records
+ * @param {Map} tokenRecords - Token records by address
+ * @param {number} chainId - Chain the records belong to
+ * @returns {Object[]} [{ index, pair }]
+ */
+export function buildExplorerPairs(pairRecords, tokenRecords, chainId) {
+  const tokens = new Map();
+  const getToken = (address) => {
+    if (!tokens.has(address)) {
+      const record = tokenRecords.get(address);
+      tokens.set(address, record && new Token(chainId, address, record.decimals, record.symbol, record.name, true));
+    }
+    return tokens.get(address);
+  };
+
+  return pairRecords.flatMap((record) => {
+    const token0 = getToken(record.token0);
+    const token1 = getToken(record.token1);
+    if (!token0 || !token1) return [];
+    const pair = new Pair(
+      CurrencyAmount.fromRawAmount(token0, record.reserve0),
+      CurrencyAmount.fromRawAmount(token1, record.reserve1)
+    );
+    return [{ index: record.index, pair }];
+  });
+}
+
+/**
+ * Liquidity In ETH
+ *
+ * Values each pair's reserves in WETH: pairs with WETH count twice their WETH
+ * reserve, other pairs are priced through the deepest WETH pair of one of
+ * their tokens. Pairs that can't be priced get null.
+ *
+ * @param {Object[]} rows - [{ index, pair }]
+ * @returns {Map} index -> CurrencyAmount of WETH, or null
+ */
+export function getLiquidityInEth(rows) {
+  // Deepest WETH pair per token
+  const wethPairs = new Map();
+  for (const { pair } of rows) {
+    if (!pair.involvesToken(WETH)) continue;
+    const token = pair.token0.equals(WETH) ? pair.token1 : pair.token0;
+    const current = wethPairs.get(token.address);
+    if (!current || pair.reserveOf(WETH).greaterThan(current.reserveOf(WETH))) {
+      wethPairs.set(token.address, pair);
+    }
+  }
+
+  const valueInEth = (amount) => {
+    const wethPair = wethPairs.get(amount.currency.address);
+    if (!wethPair || !wethPair.reserveOf(amount.currency).greaterThan(0)) return null;
+    return wethPair.priceOf(amount.currency).quote(amount);
+  };
+
+  return new Map(
+    rows.map(({ index, pair }) => {
+      if (pair.involvesToken(WETH)) return [index, pair.reserveOf(WETH).multiply(2)];
+      const value = valueInEth(pair.reserve0) ?? valueInEth(pair.reserve1);
+      return [index, value && value.multiply(2)];
+    })
+  );
+}
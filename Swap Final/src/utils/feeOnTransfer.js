@@ -0,0 +1,178 @@
+/**
+ * Fee-on-Transfer Token Utilities
+ *
+ * Some tokens take a tax on every transfer, so the pair (or the user) receives
+ * less than was sent. The regular swapExact* router methods check the output
+ * against amounts computed from the sent amounts and revert with
+ * INSUFFICIENT_OUTPUT_AMOUNT for these tokens. Router02 has
+ * ...SupportingFeeOnTransferTokens variants that instead measure the balances
+ * that actually arrived.
+ *
+ * Detection order for each token:
+ * 1. Known fees: buyFeeBps / sellFeeBps on the Token, or registered from a
+ *    token list's extensions via setKnownTransferFees
+ * 2. A simulated round trip of transfers against the pair, using eth_simulateV1:
+ *    pair -> probe measures the buy fee, probe -> pair measures the sell fee
+ *
+ * Key Web3/DeFi Concepts:
+ * - Transfer Tax: Percentage of each transfer kept by the token contract
+ * - Buy Fee: Tax on transfers out of a pair (user buying the token)
+ * - Sell Fee: Tax on transfers into a pair (user selling the token)
+ */
+
+// Uniswap SDK Core for percentage math
+import { Percent } from "@uniswap/sdk-core";
+
+// Viem's standard ERC-20 ABI
+import { erc20Abi } from "viem";
+
+// Shared token constants
+import { BASES_TO_CHECK_TRADES_AGAINST } from "../constants/tokens.js";
+
+/**
+ * Probe Address
+ *
+ * An address with no special role in any token, used as the receiver of the
+ * simulated transfer. Nothing is ever sent here; the calls are simulated only.
+ */
+const PROBE_ADDRESS = "0x00000000000000000000000000000000000F0E7A";
+
+const NO_FEE = { buyFeeBps: 0, sellFeeBps: 0 };
+
+/**
+ * Known or detected fees per token address, so each token is only simulated once per session
+ */
+const feeCache = new Map();
+
+/**
+ * Set Known Transfer Fees
+ *
+ * Records fees that are already known (e.g. flagged in a token list),
+ * so the token is never simulated.
+ *
+ * @param {string} address - Token address
+ * @param {Object} fees - { buyFeeBps, sellFeeBps } in basis points
+ */
+export function setKnownTransferFees(address, { buyFeeBps = 0, sellFeeBps = 0 }) {
+  feeCache.set(address.toLowerCase(), { buyFeeBps: Number(buyFeeBps), sellFeeBps: Number(sellFeeBps) });
+}
+
+/**
+ * Simulate Transfer Fees
+ *
+ * Moves 0.1% of the pair's token balance to the probe address and back,
+ * measuring how much arrives each way.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Token} token - Token to test
+ * @param {string} pairAddress - A pair holding the token
+ * @returns {Promise<Object>} { buyFeeBps, sellFeeBps }
+ */
+async function simulateTransferFees(client, token, pairAddress) {
+  const balanceOf = (owner) => ({ to: token.address, abi: erc20Abi, functionName: "balanceOf", args: [owner] });
+
+  const pairBalance = await client.readContract({ address: token.address, ...balanceOf(pairAddress) });
+  const amount = pairBalance / 1000n;
+  if (amount === 0n) return NO_FEE;
+
+  // Buy leg: pair -> probe, measured at the probe
+  const [buyBlock] = await client.simulateBlocks({
+    blocks: [{
+      calls: [
+        balanceOf(PROBE_ADDRESS),
+        { account: pairAddress, to: token.address, abi: erc20Abi, functionName: "transfer", args: [PROBE_ADDRESS, amount] },
+        balanceOf(PROBE_ADDRESS),
+      ],
+    }],
+  });
+  const received = buyBlock.calls[2].result - buyBlock.calls[0].result;
+
+  // Sell leg: pair -> probe -> pair, measured at the pair
+  const [sellBlock] = await client.simulateBlocks({
+    blocks: [{
+      calls: [
+        { account: pairAddress, to: token.address, abi: erc20Abi, functionName: "transfer", args: [PROBE_ADDRESS, amount] },
+        { account: PROBE_ADDRESS, to: token.address, abi: erc20Abi, functionName: "transfer", args: [pairAddress, received] },
+        balanceOf(pairAddress),
+      ],
+    }],
+  });
+  const returned = sellBlock.calls[2].result - (pairBalance - amount);
+
+  const toBps = (sent, arrived) => (sent > 0n ? Number(((sent - arrived) * 10000n) / sent) : 0);
+  return {
+    buyFeeBps: toBps(amount, received),
+    sellFeeBps: toBps(received, returned),
+  };
+}
+
+/**
+ * Get Token Transfer Fees
+ *
+ * @param {Object} client - Viem public client
+ * @param {Token} token - Token to check
+ * @param {string} pairAddress - A pair holding the token, used for simulation
+ * @returns {Promise<Object>} { buyFeeBps, sellFeeBps } in basis points
+ */
+export async function getTokenTransferFees(client, token, pairAddress) {
+  // Base tokens are well known and never tax transfers
+  if (BASES_TO_CHECK_TRADES_AGAINST.some((base) => base.equals(token))) return NO_FEE;
+
+  if (token.buyFeeBps || token.sellFeeBps) {
+    return {
+      buyFeeBps: Number(token.buyFeeBps?.toString() ?? 0),
+      sellFeeBps: Number(token.sellFeeBps?.toString() ?? 0),
+    };
+  }
+
+  const key = token.address.toLowerCase();
+  if (!feeCache.has(key)) {
+    // Nodes without eth_simulateV1, or tokens that block the transfer, are treated as fee-free
+    const fees = await simulateTransferFees(client, token, pairAddress).catch(() => NO_FEE);
+    feeCache.set(key, fees);
+  }
+  return feeCache.get(key);
+}
+
+/**
+ * Get Trade Transfer Tax
+ *
+ * Checks every token along a trade's path. The input token is taxed on the
+ * way into the first pair (sell fee) and the output token on its way out of
+ * the last pair (buy fee). A token in the middle of the route leaves one pair
+ * and enters the next, so it pays both. The per-transfer taxes compound into
+ * one total tax on the output; this is an estimate that ignores the small
+ * effect of the reduced amounts on later hops' prices.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Trade} trade - Trade to inspect
+ * @returns {Promise<Object>} { tax: Percent, taxedTokens: [{ token, feeBps }] }
+ *   where feeBps is each token's combined fee along the route
+ */
+export async function getTradeTransferTax(client, trade) {
+  const { path, pairs } = trade.route;
+
+  const fees = await Promise.all(
+    path.map((token, i) => {
+      // The pair the token leaves (or, for the input token, enters)
+      const pair = pairs[Math.max(i - 1, 0)];
+      return getTokenTransferFees(client, token, pair.liquidityToken.address);
+    })
+  );
+
+  // What fraction of each token survives its transfers along the route
+  const kept = path.map((token, i) => {
+    const charged = [];
+    if (i > 0) charged.push(fees[i].buyFeeBps);
+    if (i < path.length - 1) charged.push(fees[i].sellFeeBps);
+    return charged.reduce((total, feeBps) => total.multiply(new Percent(10000 - feeBps, 10000)), new Percent(1, 1));
+  });
+
+  const taxedTokens = path
+    .map((token, i) => ({ token, feeBps: Math.round(Number(new Percent(1, 1).subtract(kept[i]).toFixed(2)) * 100) }))
+    .filter(({ feeBps }) => feeBps > 0);
+
+  const remaining = kept.reduce((total, tokenKept) => total.multiply(tokenKept), new Percent(1, 1));
+
+  return { tax: new Percent(1, 1).subtract(remaining), taxedTokens };
+}
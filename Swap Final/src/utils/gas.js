@@ -0,0 +1,274 @@
+/**
+ * Gas Utilities
+ *
+ * Estimates what the approve and swap calls will cost to send, so it can be
+ * shown before the user signs, in ETH and in US dollars.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Gas: The units of work a transaction uses, estimated by simulating it
+ * - EIP-1559 fees: Every block has a base fee that is burned, and the sender
+ *   adds a priority fee (tip) for the block builder. A transaction sets
+ *   maxFeePerGas as its ceiling and pays min(maxFee, baseFee + priorityFee)
+ * - Network cost: gas × the price per unit actually paid, in wei
+ * - USD value: ETH is priced by the WETH/USDC pool's reserves, so no
+ *   off-chain price feed is needed
+ * - Fee history: eth_feeHistory returns recent base fees and, per block, the
+ *   tips paid at chosen percentiles; low percentiles are enough to be included
+ *   eventually, high ones get included sooner
+ * - Replacement: A pending transaction can be replaced by another one with the
+ *   same nonce, but nodes only accept it if it pays clearly higher fees
+ */
+
+// Viem unit parsing for fees entered in gwei
+import { parseGwei } from "viem";
+
+// Uniswap SDK Core for amounts
+import { CurrencyAmount } from "@uniswap/sdk-core";
+
+// Native ETH, and WETH/USDC for the dollar price
+import { ETHER, USDC, WETH } from "../constants/tokens.js";
+
+// Pair reserves
+import { fetchPair } from "./pairs.js";
+
+// Amount formatting
+import { formatRawAmount } from "./amounts.js";
+
+/**
+ * Fallback Gas Limits
+ *
+ * Typical gas used by an ERC-20 approve and by a Uniswap V2 swap, for calls
+ * that can't be estimated yet; a swap reverts in simulation until its token
+ * is approved.
+ */
+export const APPROVE_GAS_FALLBACK = 60000n;
+const SWAP_BASE_GAS = 50000n;
+const SWAP_GAS_PER_HOP = 70000n;
+
+/**
+ * Swap Gas Fallback
+ *
+ * @param {number} hops - Pairs the swap passes through
+ * @returns {bigint} Typical gas used by the swap
+ */
+export function swapGasFallback(hops) {
+  return SWAP_BASE_GAS + SWAP_GAS_PER_HOP * BigInt(hops);
+}
+
+/**
+ * Fetch Fee Data
+ *
+ * Reads the latest block's base fee and the node's suggested EIP-1559 fees.
+ * Fees set in the overrides replace the suggested ones. Chains without a base
+ * fee fall back to the legacy gas price.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object} [overrides] - Any of { maxFeePerGas, maxPriorityFeePerGas },
+ *   e.g. from getTransactionOverrides
+ * @returns {Promise<Object>} { baseFeePerGas, maxFeePerGas, maxPriorityFeePerGas,
+ *   gasPrice } as bigints, where gasPrice is what each unit is expected to cost
+ */
+export async function fetchFeeData(client, overrides = {}) {
+  const block = await client.getBlock({ blockTag: "latest" });
+  if (block.baseFeePerGas === null || block.baseFeePerGas === undefined) {
+    const gasPrice = overrides.maxFeePerGas ?? (await client.getGasPrice());
+    return { baseFeePerGas: null, maxFeePerGas: gasPrice, maxPriorityFeePerGas: null, gasPrice };
+  }
+
+  const suggested = await client.estimateFeesPerGas({ block });
+  const maxFeePerGas = overrides.maxFeePerGas ?? suggested.maxFeePerGas;
+  const maxPriorityFeePerGas = overrides.maxPriorityFeePerGas ?? suggested.maxPriorityFeePerGas;
+  const expected = block.baseFeePerGas + maxPriorityFeePerGas;
+  return {
+    baseFeePerGas: block.baseFeePerGas,
+    maxFeePerGas,
+    maxPriorityFeePerGas,
+    gasPrice: expected < maxFeePerGas ? expected : maxFeePerGas,
+  };
+}
+
+/**
+ * Fee Presets
+ *
+ * - AUTO: The wallet picks the fees
+ * - SLOW / NORMAL / FAST: Tips from the recent fee history (see fetchFeePresets)
+ * - CUSTOM: maxFeePerGas and maxPriorityFeePerGas entered in gwei
+ */
+export const FeePreset = {
+  AUTO: "auto",
+  SLOW: "slow",
+  NORMAL: "normal",
+  FAST: "fast",
+  CUSTOM: "custom",
+};
+
+/**
+ * Reward percentile each preset's tip is taken from
+ */
+const PRESET_PERCENTILES = {
+  [FeePreset.SLOW]: 10,
+  [FeePreset.NORMAL]: 50,
+  [FeePreset.FAST]: 90,
+};
+
+/**
+ * Blocks of fee history the presets are based on
+ */
+const FEE_HISTORY_BLOCKS = 10;
+
+/**
+ * Fetch Fee Presets
+ *
+ * Each preset tips the median, over recent blocks, of its reward percentile.
+ * Its maxFeePerGas leaves room for the base fee to double before the
+ * transaction stops being includable.
+ *
+ * @param {Object} client - Viem public client
+ * @returns {Promise<Object>} { slow, normal, fast }, each
+ *   { maxFeePerGas, maxPriorityFeePerGas } as bigints in wei
+ */
+export async function fetchFeePresets(client) {
+  const presets = Object.keys(PRESET_PERCENTILES);
+  const history = await client.getFeeHistory({
+    blockCount: FEE_HISTORY_BLOCKS,
+    rewardPercentiles: presets.map((preset) => PRESET_PERCENTILES[preset]),
+  });
+  // One more base fee than blocks is returned: the last is the next block's
+  const nextBaseFee = history.baseFeePerGas[history.baseFeePerGas.length - 1];
+
+  return Object.fromEntries(
+    presets.map((preset, index) => {
+      const tips = history.reward.map((rewards) => rewards[index]).sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+      const maxPriorityFeePerGas = tips[Math.floor(tips.length / 2)] ?? 0n;
+      return [preset, { maxFeePerGas: nextBaseFee * 2n + maxPriorityFeePerGas, maxPriorityFeePerGas }];
+    })
+  );
+}
+
+/**
+ * Transaction Overrides
+ *
+ * Turns the advanced settings into writeContractAsync parameters. Presets
+ * are read from the fee history at the time of sending. Anything left empty
+ * is left to the wallet.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object} settings - Settings with feePreset, maxFeePerGas and
+ *   maxPriorityFeePerGas (gwei), gasLimit and nonce, all as entered
+ * @returns {Promise<Object>} Any of { maxFeePerGas, maxPriorityFeePerGas, gas, nonce }
+ */
+export async function getTransactionOverrides(client, settings) {
+  const overrides = {};
+  if (settings.feePreset === FeePreset.CUSTOM) {
+    if (settings.maxFeePerGas) overrides.maxFeePerGas = parseGwei(String(settings.maxFeePerGas));
+    if (settings.maxPriorityFeePerGas) overrides.maxPriorityFeePerGas = parseGwei(String(settings.maxPriorityFeePerGas));
+  } else if (settings.feePreset && settings.feePreset !== FeePreset.AUTO) {
+    Object.assign(overrides, (await fetchFeePresets(client))[settings.feePreset]);
+  }
+  if (settings.gasLimit) overrides.gas = BigInt(settings.gasLimit);
+  if (settings.nonce !== "" && settings.nonce !== undefined) overrides.nonce = Number(settings.nonce);
+  return overrides;
+}
+
+/**
+ * How much a replacement raises the original's fees (%). Nodes require at
+ * least 10% on both fees.
+ */
+const REPLACEMENT_FEE_BUMP_PERCENT = 20n;
+
+const maxOf = (...values) => values.reduce((max, value) => (value > max ? value : max));
+
+/**
+ * Replacement Fees
+ *
+ * Fees for a transaction replacing a pending one: the original's fees raised
+ * by REPLACEMENT_FEE_BUMP_PERCENT, or the current fees if those are higher.
+ * Legacy transactions get a higher gasPrice instead.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object} original - The pending transaction, from getTransaction
+ * @returns {Promise<Object>} { maxFeePerGas, maxPriorityFeePerGas } or { gasPrice }
+ */
+export async function getReplacementFees(client, original) {
+  const bump = (fee) => (fee * (100n + REPLACEMENT_FEE_BUMP_PERCENT)) / 100n;
+
+  if (original.maxFeePerGas === undefined) {
+    return { gasPrice: maxOf(bump(original.gasPrice), await client.getGasPrice()) };
+  }
+
+  const current = await client.estimateFeesPerGas();
+  const maxPriorityFeePerGas = maxOf(bump(original.maxPriorityFeePerGas), current.maxPriorityFeePerGas);
+  return {
+    maxFeePerGas: maxOf(bump(original.maxFeePerGas), current.maxFeePerGas, maxPriorityFeePerGas),
+    maxPriorityFeePerGas,
+  };
+}
+
+/**
+ * Fetch ETH Price
+ *
+ * @param {Object} client - Viem public client
+ * @returns {Promise<Price>} The price of WETH in USDC, from the pair's reserves
+ */
+export async function fetchEthPrice(client) {
+  const pair = await fetchPair(client, WETH, USDC);
+  return pair.priceOf(WETH);
+}
+
+/**
+ * Estimate Network Cost
+ *
+ * Estimates gas for each call and prices the total at the fees that will be
+ * sent: the user's fee overrides where set, the current fees otherwise.
+ * A call that can't be estimated counts with its fallback gas, which marks
+ * the result as approximate. The dollar value is left out if the WETH/USDC
+ * pair can't be read.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object[]} calls - [{ request, fallbackGas }] where request holds the
+ *   estimateContractGas parameters ({ account, address, abi, functionName, args, value })
+ * @param {Object} [feeOverrides] - Any of { maxFeePerGas, maxPriorityFeePerGas },
+ *   e.g. from getTransactionOverrides
+ * @returns {Promise<Object>} { gas, gasPrice, cost, usd, approximate } with
+ *   gas, gasPrice and cost (in wei) as bigints and usd a USDC CurrencyAmount or null
+ */
+export async function estimateNetworkCost(client, calls, feeOverrides = {}) {
+  const [feeData, estimates, ethPrice] = await Promise.all([
+    fetchFeeData(client, feeOverrides),
+    Promise.all(
+      calls.map(({ request, fallbackGas }) =>
+        client
+          .estimateContractGas(request)
+          .then((gas) => ({ gas, estimated: true }))
+          .catch((error) => {
+            if (fallbackGas === undefined) throw error;
+            return { gas: fallbackGas, estimated: false };
+          })
+      )
+    ),
+    fetchEthPrice(client).catch(() => null),
+  ]);
+
+  const gas = estimates.reduce((total, estimate) => total + estimate.gas, 0n);
+  const cost = gas * feeData.gasPrice;
+  return {
+    gas,
+    gasPrice: feeData.gasPrice,
+    cost,
+    usd: ethPrice ? ethPrice.quote(CurrencyAmount.fromRawAmount(WETH, cost.toString())) : null,
+    approximate: estimates.some(({ estimated }) => !estimated),
+  };
+}
+
+/**
+ * Format Network Cost
+ *
+ * @param {Object} networkCost - estimateNetworkCost result
+ * @returns {string} e.g. "~0.0021 ETH ($6.42)"
+ */
+export function formatNetworkCost({ cost, usd }) {
+  const eth = `~${formatRawAmount(cost, ETHER, 4)} ETH`;
+  if (!usd) return eth;
+  const dollars = usd.toFixed(2);
+  return dollars === "0.00" ? `${eth} (<$0.01)` : `${eth} ($${dollars})`;
+}
@@ -0,0 +1,226 @@
+/**
+ * Transaction History Utilities
+ *
+ * Every transaction sent through the transaction manager is stored in
+ * IndexedDB per account and chain, together with the amounts the app quoted
+ * when it was sent. Once mined, the receipt's logs are decoded to record the
+ * amounts that actually moved, the gas used and the final status.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Transfer logs: Every ERC-20 movement in or out of the wallet
+ * - Swap logs: What each pair took in and paid out. Native ETH never appears
+ *   in Transfer logs (the router wraps it), so ETH legs of a swap are read
+ *   from the first and last Swap of the route
+ * - Liquidity ETH legs: The router moves the wrapped ETH to or from the pair,
+ *   so they show up as WETH Transfer logs involving the router
+ */
+
+// Viem log decoding
+import { erc20Abi, parseEventLogs } from "viem";
+
+// Uniswap SDK Core for rebuilding stored currencies
+import { Token } from "@uniswap/sdk-core";
+
+// Uniswap V2 pair ABI for Swap events
+import IUniswapV2PairABI from "@uniswap/v2-periphery/build/IUniswapV2Pair.json";
+
+// Router and WETH addresses
+import { ETHER, ROUTER_ADDRESS, WETH } from "../constants/tokens.js";
+
+// IndexedDB storage
+import { getAllByIndex, putAll } from "./db.js";
+
+/**
+ * History Entry Types
+ */
+export const TxType = {
+  SWAP: "swap",
+  APPROVE: "approve",
+  ADD_LIQUIDITY: "add-liquidity",
+  REMOVE_LIQUIDITY: "remove-liquidity",
+};
+
+/**
+ * Amount Roles
+ *
+ * - PAID: Leaves the wallet
+ * - RECEIVED: Arrives in the wallet
+ * - APPROVED: The allowance an approval sets
+ */
+export const AmountRole = {
+  PAID: "paid",
+  RECEIVED: "received",
+  APPROVED: "approved",
+};
+
+const accountKey = (chainId, account) => `${chainId}:${account.toLowerCase()}`;
+
+const sameAddress = (a, b) => a?.toLowerCase() === b?.toLowerCase();
+
+const sum = (values) => values.reduce((total, value) => total + value, 0n);
+
+/**
+ * History Amount
+ *
+ * A quoted amount in a form IndexedDB can store.
+ *
+ * @param {string} role - An AmountRole
+ * @param {CurrencyAmount} amount - The quoted amount
+ * @returns {Object} { role, currency: { address, symbol, decimals }, quoted }
+ *   with address null for native ETH and quoted as a raw decimal string
+ */
+export function toHistoryAmount(role, amount) {
+  const { currency } = amount;
+  return {
+    role,
+    currency: {
+      address: currency.isNative ? null : currency.address,
+      symbol: currency.symbol,
+      decimals: currency.decimals,
+    },
+    quoted: amount.quotient.toString(),
+  };
+}
+
+/**
+ * Load History
+ *
+ * @param {number} chainId - Chain to load
+ * @param {string} account - Account to load
+ * @returns {Promise<Object[]>} Entries, newest first
+ */
+export async function loadHistory(chainId, account) {
+  const entries = await getAllByIndex("transactions", "accountKey", accountKey(chainId, account));
+  return entries.sort((a, b) => b.submittedAt - a.submittedAt);
+}
+
+/**
+ * Create History Entry
+ *
+ * @param {Object} params - Entry fields
+ * @param {number} params.chainId - Chain the transaction was sent on
+ * @param {string} params.account - Sender
+ * @param {string} params.hash - Transaction hash
+ * @param {string} params.type - A TxType
+ * @param {string} params.summary - Short description
+ * @param {string} params.status - Current TxStatus
+ * @param {Object[]} [params.amounts] - Quoted amounts from toHistoryAmount
+ * @returns {Object} The entry, not yet saved. Its nonce is filled in once the
+ *   node returns the transaction, so a lost transaction can be classified later.
+ */
+export function createHistoryEntry({ chainId, account, hash, type, summary, status, amounts = [] }) {
+  return {
+    key: `${chainId}:${hash}`,
+    accountKey: accountKey(chainId, account),
+    chainId,
+    account,
+    hash,
+    nonce: null,
+    type,
+    summary,
+    status,
+    amounts: amounts.map((amount) => ({ ...amount, actual: null })),
+    gasUsed: null,
+    gasCost: null,
+    submittedAt: Date.now(),
+  };
+}
+
+/**
+ * Save History Entry
+ *
+ * @param {Object} entry - Entry to create or replace
+ * @returns {Promise<void>}
+ */
+export function saveHistoryEntry(entry) {
+  return putAll("transactions", [entry]);
+}
+
+/**
+ * Actual Amounts
+ *
+ * Decodes what each quoted amount turned out to be from the receipt's logs.
+ *
+ * - ERC-20 paid / received: Transfer logs from / to the account
+ * - ERC-20 approved: The account's Approval log
+ * - ETH in a swap: The first Swap's input / the last Swap's output
+ * - ETH in a liquidity transaction: WETH Transfer logs from / to the router
+ *
+ * @returns {Object[]} The amounts with actual set (raw decimal string, or null
+ *   when nothing matching was logged)
+ */
+function decodeActualAmounts(receipt, account, amounts) {
+  const tokenLogs = parseEventLogs({ abi: erc20Abi, logs: receipt.logs });
+  const swapLogs = parseEventLogs({ abi: IUniswapV2PairABI.abi, eventName: "Swap", logs: receipt.logs });
+  const transfers = tokenLogs.filter((log) => log.eventName === "Transfer");
+
+  // Exactly one side of a router swap is non-zero
+  const swapIn = ({ args }) => args.amount0In || args.amount1In;
+  const swapOut = ({ args }) => args.amount0Out || args.amount1Out;
+
+  const actualOf = ({ role, currency }) => {
+    if (!currency.address) {
+      if (swapLogs.length > 0) {
+        return role === AmountRole.PAID ? swapIn(swapLogs[0]) : swapOut(swapLogs[swapLogs.length - 1]);
+      }
+      const party = role === AmountRole.PAID ? "from" : "to";
+      const moved = transfers.filter(
+        (log) => sameAddress(log.address, WETH.address) && sameAddress(log.args[party], ROUTER_ADDRESS)
+      );
+      return moved.length > 0 ? sum(moved.map((log) => log.args.value)) : null;
+    }
+
+    const ofToken = tokenLogs.filter((log) => sameAddress(log.address, currency.address));
+    if (role === AmountRole.APPROVED) {
+      const approval = ofToken.find((log) => log.eventName === "Approval" && sameAddress(log.args.owner, account));
+      return approval ? approval.args.value : null;
+    }
+    const party = role === AmountRole.PAID ? "from" : "to";
+    const moved = ofToken.filter((log) => log.eventName === "Transfer" && sameAddress(log.args[party], account));
+    return moved.length > 0 ? sum(moved.map((log) => log.args.value)) : null;
+  };
+
+  return amounts.map((amount) => {
+    const actual = receipt.status === "success" ? actualOf(amount) : null;
+    return { ...amount, actual: actual === null ? null : actual.toString() };
+  });
+}
+
+/**
+ * Complete History Entry
+ *
+ * Records a transaction's outcome. Without a receipt (dropped or failed
+ * tracking) only the status changes.
+ *
+ * @param {Object} entry - The entry created at submission
+ * @param {string} status - Final TxStatus
+ * @param {Object} [receipt] - The transaction's (or its replacement's) receipt
+ * @param {string} [replaceReason] - viem's "repriced", "cancelled" or
+ *   "replaced" when the transaction was replaced by a known one
+ * @returns {Object} The updated entry, not yet saved
+ */
+export function completeHistoryEntry(entry, status, receipt, replaceReason) {
+  if (!receipt) return { ...entry, status };
+  return {
+    ...entry,
+    status,
+    replaceReason: replaceReason ?? null,
+    amounts: decodeActualAmounts(receipt, entry.account, entry.amounts),
+    gasUsed: receipt.gasUsed.toString(),
+    gasCost: (receipt.gasUsed * receipt.effectiveGasPrice).toString(),
+    completedAt: Date.now(),
+  };
+}
+
+/**
+ * Stored Currency
+ *
+ * Rebuilds the currency of a stored amount so it can be formatted.
+ *
+ * @param {number} chainId - Chain of the entry
+ * @param {Object} currency - { address, symbol, decimals } as stored
+ * @returns {Currency} Native ETH or the token
+ */
+export function toStoredCurrency(chainId, { address, symbol, decimals }) {
+  return address ? new Token(chainId, address, decimals, symbol) : ETHER;
+}
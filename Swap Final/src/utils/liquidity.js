@@ -0,0 +1,201 @@
+/**
+ * Liquidity Utilities
+ *
+ * Math and Router02 call construction for adding liquidity to a pair and
+ * removing it again.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Deposits must match the pool's current ratio; the router adds the largest
+ *   amounts that fit the ratio and refunds nothing, so the second amount is
+ *   derived from the reserves instead of typed freely
+ * - LP tokens: Minted to the provider in proportion to the deposit, they are
+ *   the claim on a share of the pool's reserves
+ * - Minimums: The router reverts if the ratio moved so far that less than
+ *   amountAMin / amountBMin would be deposited
+ *
+ * Router02 methods covered:
+ * - addLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin, to, deadline)
+ * - addLiquidityETH(token, amountTokenDesired, amountTokenMin, amountETHMin, to, deadline)  payable
+ * - removeLiquidity / removeLiquidityETH and their WithPermit variants
+ */
+
+// Uniswap SDK Core for amount and percentage math
+import { CurrencyAmount, Percent } from "@uniswap/sdk-core";
+
+// Decimal-aware amount conversion
+import { toRawAmount } from "./amounts.js";
+
+/**
+ * Dependent Amount
+ *
+ * The amount of the other currency that matches an entered amount at the
+ * pair's current price.
+ *
+ * @param {Pair} pair - The pair being added to
+ * @param {CurrencyAmount} independentAmount - The amount the user typed
+ * @param {Currency} dependentCurrency - The other side (may be native ETH)
+ * @returns {CurrencyAmount} The matching amount of dependentCurrency
+ */
+export function getDependentAmount(pair, independentAmount, dependentCurrency) {
+  const quoted = pair.priceOf(independentAmount.currency.wrapped).quote(independentAmount.wrapped);
+  return dependentCurrency.isNative
+    ? CurrencyAmount.fromRawAmount(dependentCurrency, quoted.quotient)
+    : quoted;
+}
+
+/**
+ * Liquidity Preview
+ *
+ * LP tokens the deposit would mint and the share of the pool they would be.
+ *
+ * @param {Pair} pair - The pair being added to
+ * @param {CurrencyAmount} totalSupply - Current LP token supply
+ * @param {CurrencyAmount} amountA - Amount of one side
+ * @param {CurrencyAmount} amountB - Amount of the other side
+ * @returns {Object|null} { liquidityMinted, poolShare }, or null when the
+ *   deposit is too small to mint anything
+ */
+export function getLiquidityPreview(pair, totalSupply, amountA, amountB) {
+  let liquidityMinted;
+  try {
+    liquidityMinted = pair.getLiquidityMinted(totalSupply, amountA.wrapped, amountB.wrapped);
+  } catch {
+    return null;
+  }
+  if (!liquidityMinted.greaterThan(0)) return null;
+
+  const poolShare = new Percent(liquidityMinted.quotient, totalSupply.add(liquidityMinted).quotient);
+  return { liquidityMinted, poolShare };
+}
+
+/**
+ * Slippage-Adjusted Minimum
+ *
+ * @param {CurrencyAmount} amount - Desired amount
+ * @param {Percent} slippageTolerance - Allowed price movement
+ * @returns {bigint} Raw minimum amount
+ */
+export function getMinimumAmount(amount, slippageTolerance) {
+  return toRawAmount(amount.multiply(new Percent(1, 1).subtract(slippageTolerance)));
+}
+
+/**
+ * Build Add Liquidity Call
+ *
+ * Picks addLiquidity or addLiquidityETH and builds its arguments with
+ * slippage-adjusted minimums.
+ *
+ * @param {CurrencyAmount} amountA - Desired amount of one side
+ * @param {CurrencyAmount} amountB - Desired amount of the other side
+ * @param {Object} options - Call options
+ * @param {Percent} options.slippageTolerance - Allowed price movement
+ * @param {string} options.recipient - Address that receives the LP tokens
+ * @param {number} options.deadline - Unix timestamp after which the call reverts
+ * @param {boolean} [options.noLiquidity] - Seeding an empty or new pool: the
+ *   amounts set the price, so the minimums equal the amounts
+ * @returns {Object} { functionName, args, value }
+ */
+export function buildAddLiquidityCall(amountA, amountB, { slippageTolerance, recipient, deadline, noLiquidity = false }) {
+  if (amountA.currency.isNative && amountB.currency.isNative) {
+    throw new Error("Cannot add liquidity for ETH and ETH");
+  }
+  if (noLiquidity) {
+    slippageTolerance = new Percent(0, 1);
+  }
+
+  if (amountA.currency.isNative || amountB.currency.isNative) {
+    const [etherAmount, tokenAmount] = amountA.currency.isNative ? [amountA, amountB] : [amountB, amountA];
+    return {
+      functionName: "addLiquidityETH",
+      args: [
+        tokenAmount.currency.address,
+        toRawAmount(tokenAmount),
+        getMinimumAmount(tokenAmount, slippageTolerance),
+        getMinimumAmount(etherAmount, slippageTolerance),
+        recipient,
+        deadline,
+      ],
+      value: toRawAmount(etherAmount),
+    };
+  }
+
+  return {
+    functionName: "addLiquidity",
+    args: [
+      amountA.currency.address,
+      amountB.currency.address,
+      toRawAmount(amountA),
+      toRawAmount(amountB),
+      getMinimumAmount(amountA, slippageTolerance),
+      getMinimumAmount(amountB, slippageTolerance),
+      recipient,
+      deadline,
+    ],
+    value: 0n,
+  };
+}
+
+/**
+ * Build Remove Liquidity Call
+ *
+ * Picks the Router02 method for removing liquidity and builds its arguments.
+ * With a permit signature the *WithPermit variants are used and no prior
+ * approval of the LP token is needed.
+ *
+ * Router02 methods covered:
+ * - removeLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to, deadline)
+ * - removeLiquidityETH(token, liquidity, amountTokenMin, amountETHMin, to, deadline)
+ * - removeLiquidityWithPermit(..., deadline, approveMax, v, r, s)
+ * - removeLiquidityETHWithPermit(..., deadline, approveMax, v, r, s)
+ *
+ * @param {CurrencyAmount} liquidity - LP tokens to burn
+ * @param {CurrencyAmount} amountA - Expected amount of one side
+ * @param {CurrencyAmount} amountB - Expected amount of the other side
+ * @param {Object} options - Call options
+ * @param {Percent} options.slippageTolerance - Allowed price movement
+ * @param {string} options.recipient - Address that receives the tokens
+ * @param {number} options.deadline - Unix timestamp after which the call reverts
+ *   (must match the permit's deadline when a permit is given)
+ * @param {Object} [options.permit] - { v, r, s } signature for exactly `liquidity`
+ * @returns {Object} { functionName, args }
+ */
+export function buildRemoveLiquidityCall(liquidity, amountA, amountB, { slippageTolerance, recipient, deadline, permit }) {
+  if (amountA.currency.isNative && amountB.currency.isNative) {
+    throw new Error("Cannot remove liquidity for ETH and ETH");
+  }
+
+  const rawLiquidity = toRawAmount(liquidity);
+  let functionName, args;
+
+  if (amountA.currency.isNative || amountB.currency.isNative) {
+    const [etherAmount, tokenAmount] = amountA.currency.isNative ? [amountA, amountB] : [amountB, amountA];
+    functionName = "removeLiquidityETH";
+    args = [
+      tokenAmount.currency.address,
+      rawLiquidity,
+      getMinimumAmount(tokenAmount, slippageTolerance),
+      getMinimumAmount(etherAmount, slippageTolerance),
+      recipient,
+      deadline,
+    ];
+  } else {
+    functionName = "removeLiquidity";
+    args = [
+      amountA.currency.address,
+      amountB.currency.address,
+      rawLiquidity,
+      getMinimumAmount(amountA, slippageTolerance),
+      getMinimumAmount(amountB, slippageTolerance),
+      recipient,
+      deadline,
+    ];
+  }
+
+  if (permit) {
+    // The permit covers exactly the burned amount, not the maximum
+    functionName = `${functionName}WithPermit`;
+    args = [...args, false, permit.v, permit.r, permit.s];
+  }
+
+  return { functionName, args };
+}
@@ -0,0 +1,33 @@
+/**
+ * Log Scanning Utilities
+ *
+ * Helpers shared by features that rebuild account history from event logs
+ * (approvals, LP positions).
+ *
+ * Only blocks mined on the local chain are scanned. On an Anvil fork that is
+ * everything after the fork block (history before it lives on the remote
+ * node and would be very slow to scan); on other nodes the most recent
+ * FALLBACK_BLOCK_RANGE blocks.
+ */
+
+/**
+ * Blocks scanned when the node can't report a fork block
+ */
+const FALLBACK_BLOCK_RANGE = 10000n;
+
+/**
+ * Get Scan Start Block
+ *
+ * @param {Object} client - Viem public client
+ * @returns {Promise<bigint>} First block to scan
+ */
+export async function getScanStartBlock(client) {
+  try {
+    const info = await client.request({ method: "anvil_nodeInfo" });
+    const forkBlock = info?.forkConfig?.forkBlockNumber;
+    return forkBlock === undefined || forkBlock === null ? 0n : BigInt(forkBlock) + 1n;
+  } catch {
+    const latest = await client.getBlockNumber();
+    return latest > FALLBACK_BLOCK_RANGE ? latest - FALLBACK_BLOCK_RANGE : 0n;
+  }
+}
@@ -0,0 +1,163 @@
+/**
+ * Pair Utilities
+ *
+ * Helpers for loading Uniswap V2 pairs from the chain and turning them into
+ * v2-sdk Pair objects that can be used for pricing and routing.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Pair: A liquidity pool holding reserves of two tokens
+ * - Reserves: The token balances in the pool, which determine the price
+ * - CREATE2 Address: Pair addresses are derived from the two token addresses,
+ *   so they can be computed locally without asking the factory
+ * - Factory: Whether a pair has actually been deployed is only known to the
+ *   factory (getPair returns the zero address for pairs that don't exist)
+ *
+ * Pairs the factory reports as missing are remembered so routing doesn't ask
+ * for them on every quote; creating a pair must call forgetMissingPair.
+ */
+
+// Uniswap SDK Core for amount handling
+import { CurrencyAmount } from "@uniswap/sdk-core";
+
+// Uniswap V2 SDK for pair logic and address computation
+import { Pair } from "@uniswap/v2-sdk";
+
+// Viem constant returned by getPair for missing pairs
+import { zeroAddress } from "viem";
+
+// Uniswap V2 pair ABI for reading reserves, factory ABI for getPair
+import IUniswapV2PairABI from "@uniswap/v2-periphery/build/IUniswapV2Pair.json";
+import IUniswapV2FactoryABI from "@uniswap/v2-periphery/build/IUniswapV2Factory.json";
+
+// Factory address
+import { FACTORY_ADDRESS } from "../constants/tokens.js";
+
+/**
+ * Addresses of pairs the factory reported as not deployed
+ */
+const missingPairs = new Set();
+
+/**
+ * Fetch Pair Address
+ *
+ * Asks the factory whether the pair of two tokens exists.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Token} tokenA - First token of the pair
+ * @param {Token} tokenB - Second token of the pair
+ * @returns {Promise<string|null>} The pair address, or null if it hasn't been created
+ */
+export async function fetchPairAddress(client, tokenA, tokenB) {
+  const pairAddress = await client.readContract({
+    address: FACTORY_ADDRESS,
+    abi: IUniswapV2FactoryABI.abi,
+    functionName: "getPair",
+    args: [tokenA.address, tokenB.address],
+  });
+  return pairAddress === zeroAddress ? null : pairAddress;
+}
+
+/**
+ * Forget Missing Pair
+ *
+ * Called once a pair has been created so routing picks it up right away.
+ *
+ * @param {string} pairAddress - Address of the new pair
+ */
+export function forgetMissingPair(pairAddress) {
+  missingPairs.delete(pairAddress);
+}
+
+/**
+ * Fetch Pair Reserves
+ *
+ * Reads the current reserves of the pair formed by two tokens.
+ * Reserves are returned in token0/token1 order (sorted by address).
+ *
+ * @param {Object} client - Viem public client
+ * @param {Token} tokenA - First token of the pair
+ * @param {Token} tokenB - Second token of the pair
+ * @returns {Promise<Array>} [reserve0, reserve1, blockTimestampLast]
+ */
+export async function fetchPairReserves(client, tokenA, tokenB) {
+  const pairAddress = Pair.getAddress(tokenA, tokenB);
+  return client.readContract({
+    address: pairAddress,
+    abi: IUniswapV2PairABI.abi,
+    functionName: "getReserves",
+  });
+}
+
+/**
+ * Fetch Pair
+ *
+ * Loads a single pair and wraps its reserves in a v2-sdk Pair. If the reserves
+ * can't be read the factory is asked whether the pair exists at all, and
+ * missing pairs are remembered.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Token} tokenA - First token of the pair
+ * @param {Token} tokenB - Second token of the pair
+ * @returns {Promise<Pair>} The pair with its current reserves
+ */
+export async function fetchPair(client, tokenA, tokenB) {
+  const [token0, token1] = tokenA.sortsBefore(tokenB) ? [tokenA, tokenB] : [tokenB, tokenA];
+  const pairAddress = Pair.getAddress(token0, token1);
+  if (missingPairs.has(pairAddress)) {
+    throw new Error(`There is no ${token0.symbol}/${token1.symbol} pair`);
+  }
+
+  let reserves;
+  try {
+    reserves = await fetchPairReserves(client, token0, token1);
+  } catch (error) {
+    if (await fetchPairAddress(client, token0, token1)) throw error;
+    missingPairs.add(pairAddress);
+    throw new Error(`There is no ${token0.symbol}/${token1.symbol} pair`);
+  }
+
+  return new Pair(
+    CurrencyAmount.fromRawAmount(token0, reserves[0].toString()),
+    CurrencyAmount.fromRawAmount(token1, reserves[1].toString())
+  );
+}
+
+/**
+ * Fetch Pairs
+ *
+ * Loads several pairs in parallel. Pairs that do not exist or that have no
+ * liquidity are left out of the result.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Array<[Token, Token]>} tokenPairs - Token pairs to load
+ * @returns {Promise<Pair[]>} The pairs that exist and hold liquidity
+ */
+export async function fetchPairs(client, tokenPairs) {
+  const results = await Promise.allSettled(
+    tokenPairs.map(([tokenA, tokenB]) => fetchPair(client, tokenA, tokenB))
+  );
+
+  return results
+    .filter((result) => result.status === "fulfilled")
+    .map((result) => result.value)
+    .filter((pair) => pair.reserve0.greaterThan(0) && pair.reserve1.greaterThan(0));
+}
+
+/**
+ * Fetch Total Supply
+ *
+ * Reads how many LP tokens of a pair exist. Together with the reserves this
+ * gives the value of each LP token and the share of the pool a position owns.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Pair} pair - The pair whose LP token supply to read
+ * @returns {Promise<CurrencyAmount>} Total supply of the pair's liquidity token
+ */
+export async function fetchTotalSupply(client, pair) {
+  const totalSupply = await client.readContract({
+    address: pair.liquidityToken.address,
+    abi: IUniswapV2PairABI.abi,
+    functionName: "totalSupply",
+  });
+  return CurrencyAmount.fromRawAmount(pair.liquidityToken, totalSupply.toString());
+}
@@ -0,0 +1,90 @@
+/**
+ * Permit Utilities
+ *
+ * EIP-2612 permits for Uniswap V2 LP tokens. Instead of a separate approve
+ * transaction, the owner signs an EIP-712 message allowing the router to
+ * spend its LP tokens, and the router submits that signature to the pair's
+ * permit() in the same transaction that removes the liquidity.
+ *
+ * The pair's EIP-712 domain is fixed by the pair contract:
+ * name "Uniswap V2", version "1", the chain id and the pair address.
+ */
+
+// Viem helpers for splitting signatures and walking error causes
+import { BaseError, parseSignature, UserRejectedRequestError } from "viem";
+
+// Uniswap V2 pair ABI for reading permit nonces
+import IUniswapV2PairABI from "@uniswap/v2-periphery/build/IUniswapV2Pair.json";
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: "owner", type: "address" },
+    { name: "spender", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+/**
+ * Build Permit Typed Data
+ *
+ * Reads the owner's current permit nonce from the pair and returns the typed
+ * data to pass to signTypedData.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object} params - Permit parameters
+ * @param {string} params.pairAddress - LP token (pair) address
+ * @param {string} params.owner - Account signing the permit
+ * @param {string} params.spender - Account allowed to spend (the router)
+ * @param {bigint} params.value - Raw LP token amount
+ * @param {number} params.deadline - Unix timestamp after which the permit is invalid
+ * @returns {Promise<Object>} { domain, types, primaryType, message }
+ */
+export async function buildPermitTypedData(client, { pairAddress, owner, spender, value, deadline }) {
+  const nonce = await client.readContract({
+    address: pairAddress,
+    abi: IUniswapV2PairABI.abi,
+    functionName: "nonces",
+    args: [owner],
+  });
+
+  return {
+    domain: {
+      name: "Uniswap V2",
+      version: "1",
+      chainId: client.chain.id,
+      verifyingContract: pairAddress,
+    },
+    types: PERMIT_TYPES,
+    primaryType: "Permit",
+    message: { owner, spender, value, nonce, deadline: BigInt(deadline) },
+  };
+}
+
+/**
+ * Split Permit Signature
+ *
+ * @param {string} signature - 65-byte hex signature
+ * @returns {Object} { v, r, s } as the router's permit arguments expect
+ */
+export function splitPermitSignature(signature) {
+  const { r, s, v, yParity } = parseSignature(signature);
+  return { v: v === undefined ? yParity + 27 : Number(v), r, s };
+}
+
+/**
+ * Is User Rejection
+ *
+ * Distinguishes the user declining to sign (stop) from a wallet that can't
+ * sign typed data at all (fall back to an approve transaction).
+ *
+ * @param {Error} error - Error thrown by signTypedData
+ * @returns {boolean} Whether the user rejected the request
+ */
+export function isUserRejection(error) {
+  if (error instanceof BaseError) {
+    return Boolean(error.walk((cause) => cause instanceof UserRejectedRequestError));
+  }
+  return error?.code === 4001;
+}
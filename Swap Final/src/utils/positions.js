@@ -0,0 +1,230 @@
+/**
+ * LP Position Utilities
+ *
+ * Finds every Uniswap V2 pair in which an account holds LP tokens and values
+ * the position from the pair's reserves and LP supply.
+ *
+ * Candidate pairs come from three places:
+ * - Tracked pairs: pairs the user added liquidity to in this app (localStorage)
+ * - Known tokens paired with each routing base, computed locally via CREATE2
+ * - Transfer logs: every token contract that sent the account tokens since
+ *   the scan start block (see getScanStartBlock)
+ *
+ * A candidate only counts when it holds a balance and its token0/token1 give
+ * back its own address through Pair.getAddress, i.e. it is a V2 factory pair.
+ *
+ * Entry amounts are rebuilt from the pair's Mint events and the account's LP
+ * Transfer logs. Positions opened before the scan start block have no entry.
+ */
+
+// Viem helpers
+import { erc20Abi, getAddress, zeroAddress } from "viem";
+
+// Uniswap SDK Core and V2 SDK for amounts and pair math
+import { CurrencyAmount, Percent } from "@uniswap/sdk-core";
+import { Pair } from "@uniswap/v2-sdk";
+
+// Uniswap V2 pair ABI for reserves, supply and events
+import IUniswapV2PairABI from "@uniswap/v2-periphery/build/IUniswapV2Pair.json";
+
+// Routing bases, paired with every known token
+import { BASES_TO_CHECK_TRADES_AGAINST } from "../constants/tokens.js";
+
+// Metadata lookup for tokens that are on no list
+import { fetchToken } from "./tokenMetadata.js";
+
+// First block with local history
+import { getScanStartBlock } from "./logs.js";
+
+/**
+ * localStorage key for pairs the user added liquidity to
+ */
+const TRACKED_PAIRS_KEY = "swap:trackedPairs";
+
+const transferEvent = erc20Abi.find((item) => item.type === "event" && item.name === "Transfer");
+const mintEvent = IUniswapV2PairABI.abi.find((item) => item.type === "event" && item.name === "Mint");
+
+/**
+ * Load Tracked Pairs
+ *
+ * @returns {string[]} Pair addresses
+ */
+export function loadTrackedPairs() {
+  try {
+    const value = JSON.parse(localStorage.getItem(TRACKED_PAIRS_KEY));
+    return Array.isArray(value) ? value : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Track Pair
+ *
+ * Remembers a pair so its position is found even without logs.
+ *
+ * @param {string} pairAddress - Pair address
+ */
+export function trackPair(pairAddress) {
+  const tracked = loadTrackedPairs();
+  if (tracked.some((address) => address.toLowerCase() === pairAddress.toLowerCase())) return;
+  localStorage.setItem(TRACKED_PAIRS_KEY, JSON.stringify([...tracked, getAddress(pairAddress)]));
+}
+
+/**
+ * Candidate Pair Addresses
+ *
+ * @returns {Promise<string[]>} Unique checksummed addresses worth checking
+ */
+async function getCandidatePairs(client, owner, knownTokens, fromBlock) {
+  const candidates = new Set(loadTrackedPairs().map((address) => getAddress(address)));
+
+  for (const token of knownTokens) {
+    for (const base of BASES_TO_CHECK_TRADES_AGAINST) {
+      if (!token.equals(base)) candidates.add(Pair.getAddress(token, base));
+    }
+  }
+
+  const logs = await client.getLogs({ event: transferEvent, args: { to: owner }, fromBlock, toBlock: "latest" });
+  logs.forEach((log) => candidates.add(getAddress(log.address)));
+
+  return [...candidates];
+}
+
+/**
+ * Load Pair Details
+ *
+ * Reads a candidate's tokens, reserves and supply. Returns null for contracts
+ * that aren't V2 factory pairs.
+ */
+async function loadPairDetails(client, pairAddress, knownTokens) {
+  const read = (functionName) => client.readContract({ address: pairAddress, abi: IUniswapV2PairABI.abi, functionName });
+  const [token0Address, token1Address, reserves, totalSupply] = await Promise.all([
+    read("token0"),
+    read("token1"),
+    read("getReserves"),
+    read("totalSupply"),
+  ]);
+
+  const resolve = (address) =>
+    knownTokens.find((token) => token.address.toLowerCase() === address.toLowerCase()) ?? fetchToken(client, address);
+  const [token0, token1] = await Promise.all([resolve(token0Address), resolve(token1Address)]);
+
+  if (Pair.getAddress(token0, token1) !== pairAddress) return null;
+
+  const pair = new Pair(
+    CurrencyAmount.fromRawAmount(token0, reserves[0].toString()),
+    CurrencyAmount.fromRawAmount(token1, reserves[1].toString())
+  );
+  return { pair, totalSupply: CurrencyAmount.fromRawAmount(pair.liquidityToken, totalSupply.toString()) };
+}
+
+/**
+ * Entry Amounts
+ *
+ * Replays the account's LP transfers in order. LP minted to the account adds
+ * the tokens deposited in that transaction's Mint event; LP leaving the
+ * account removes the same share of the entry amounts.
+ *
+ * @returns {Promise<Object|null>} { amount0, amount1 } as raw bigints, or null
+ *   when the replayed LP balance doesn't match (history before fromBlock, or
+ *   LP received from another account)
+ */
+async function getEntryAmounts(client, pairAddress, owner, balance, fromBlock) {
+  const range = { address: pairAddress, fromBlock, toBlock: "latest" };
+  const [received, sent, mints] = await Promise.all([
+    client.getLogs({ ...range, event: transferEvent, args: { to: owner } }),
+    client.getLogs({ ...range, event: transferEvent, args: { from: owner } }),
+    client.getLogs({ ...range, event: mintEvent }),
+  ]);
+
+  const mintsByTx = new Map(mints.map((log) => [log.transactionHash, log.args]));
+  const transfers = [...received, ...sent].sort((a, b) =>
+    a.blockNumber === b.blockNumber ? a.logIndex - b.logIndex : Number(a.blockNumber - b.blockNumber)
+  );
+
+  let liquidity = 0n;
+  let amount0 = 0n;
+  let amount1 = 0n;
+  for (const { args, transactionHash } of transfers) {
+    if (args.to === owner) {
+      const mint = args.from === zeroAddress ? mintsByTx.get(transactionHash) : undefined;
+      if (!mint) return null;
+      amount0 += mint.amount0;
+      amount1 += mint.amount1;
+      liquidity += args.value;
+    } else if (liquidity > 0n) {
+      amount0 -= (amount0 * args.value) / liquidity;
+      amount1 -= (amount1 * args.value) / liquidity;
+      liquidity -= args.value;
+    }
+  }
+
+  return liquidity === balance ? { amount0, amount1 } : null;
+}
+
+/**
+ * Scan Positions
+ *
+ * @param {Object} client - Viem public client
+ * @param {string} owner - Account whose positions to list
+ * @param {Token[]} knownTokens - Tokens from the loaded lists, used to build
+ *   candidate pairs and to resolve metadata without extra calls
+ * @returns {Promise<Object[]>} [{ pair, balance, totalSupply, share, amount0, amount1, entry }]
+ *   where balance/totalSupply are LP amounts, share is a Percent, amount0/amount1
+ *   are the underlying CurrencyAmounts and entry is { amount0, amount1 } or null
+ */
+export async function scanPositions(client, owner, knownTokens) {
+  owner = getAddress(owner);
+  const fromBlock = await getScanStartBlock(client);
+  const candidates = await getCandidatePairs(client, owner, knownTokens, fromBlock);
+
+  const balances = await Promise.all(
+    candidates.map((address) =>
+      client.readContract({ address, abi: erc20Abi, functionName: "balanceOf", args: [owner] }).catch(() => 0n)
+    )
+  );
+  const held = candidates.filter((_, index) => balances[index] > 0n);
+
+  const positions = await Promise.all(
+    held.map(async (pairAddress) => {
+      const details = await loadPairDetails(client, pairAddress, knownTokens).catch(() => null);
+      if (!details) return null;
+
+      const { pair, totalSupply } = details;
+      const raw = balances[candidates.indexOf(pairAddress)];
+      const balance = CurrencyAmount.fromRawAmount(pair.liquidityToken, raw.toString());
+      const entry = await getEntryAmounts(client, pairAddress, owner, raw, fromBlock).catch(() => null);
+
+      return {
+        pair,
+        balance,
+        totalSupply,
+        share: new Percent(balance.quotient, totalSupply.quotient),
+        amount0: pair.getLiquidityValue(pair.token0, totalSupply, balance),
+        amount1: pair.getLiquidityValue(pair.token1, totalSupply, balance),
+        entry: entry && {
+          amount0: CurrencyAmount.fromRawAmount(pair.token0, entry.amount0.toString()),
+          amount1: CurrencyAmount.fromRawAmount(pair.token1, entry.amount1.toString()),
+        },
+      };
+    })
+  );
+
+  return positions.filter(Boolean);
+}
+
+/**
+ * Value In Token1
+ *
+ * Values a token0/token1 amount pair in token1 at the pair's current mid
+ * price, so entry and current amounts can be compared on one scale.
+ *
+ * @param {Pair} pair - The position's pair
+ * @param {CurrencyAmount} amount0 - token0 amount
+ * @param {CurrencyAmount} amount1 - token1 amount
+ * @returns {CurrencyAmount} Combined value in token1
+ */
+export function valueInToken1(pair, amount0, amount1) {
+  return pair.token0Price.quote(amount0).add(amount1);
+}
@@ -0,0 +1,67 @@
+/**
+ * Price Impact Utilities
+ *
+ * Price impact is how far a trade moves the pool price: the difference
+ * between the mid price before the trade and the price the trade executes at.
+ * Large trades against shallow pools have a large impact and lose value to it.
+ *
+ * Severity tiers:
+ * - LOW: below 1%, nothing to flag
+ * - MEDIUM: 1% to 3%, shown in yellow
+ * - HIGH: 3% to 5%, shown in orange
+ * - WARNING: 5% to 15%, shown in red; the swap asks for confirmation
+ * - BLOCKED: 15% and above; the swap is refused unless expert mode is on
+ */
+
+// Uniswap SDK Core for percentages
+import { Percent } from "@uniswap/sdk-core";
+
+export const PriceImpactSeverity = {
+  LOW: 0,
+  MEDIUM: 1,
+  HIGH: 2,
+  WARNING: 3,
+  BLOCKED: 4,
+};
+
+/**
+ * Tier thresholds, from the highest tier down
+ */
+const THRESHOLDS = [
+  [PriceImpactSeverity.BLOCKED, new Percent(15, 100)],
+  [PriceImpactSeverity.WARNING, new Percent(5, 100)],
+  [PriceImpactSeverity.HIGH, new Percent(3, 100)],
+  [PriceImpactSeverity.MEDIUM, new Percent(1, 100)],
+];
+
+/**
+ * Text color per tier
+ */
+export const PRICE_IMPACT_COLORS = {
+  [PriceImpactSeverity.LOW]: "text-green-600",
+  [PriceImpactSeverity.MEDIUM]: "text-yellow-600",
+  [PriceImpactSeverity.HIGH]: "text-orange-600",
+  [PriceImpactSeverity.WARNING]: "text-red-600",
+  [PriceImpactSeverity.BLOCKED]: "text-red-700 font-semibold",
+};
+
+/**
+ * Get Price Impact Severity
+ *
+ * @param {Percent} priceImpact - The trade's price impact
+ * @returns {number} One of PriceImpactSeverity
+ */
+export function getPriceImpactSeverity(priceImpact) {
+  const tier = THRESHOLDS.find(([, threshold]) => !priceImpact.lessThan(threshold));
+  return tier ? tier[0] : PriceImpactSeverity.LOW;
+}
+
+/**
+ * Format Price Impact
+ *
+ * @param {Percent} priceImpact - The trade's price impact
+ * @returns {string} e.g. "2.35%", or "<0.01%" for tiny impacts
+ */
+export function formatPriceImpact(priceImpact) {
+  return priceImpact.lessThan(new Percent(1, 10000)) ? "<0.01%" : `${priceImpact.toFixed(2)}%`;
+}
@@ -0,0 +1,92 @@
+/**
+ * Revert Reasons
+ *
+ * Turns the revert strings of the Uniswap V2 router, library, pair and
+ * TransferHelper into explanations a user can act on. Used to explain a
+ * failed pre-flight simulation before the wallet is ever opened.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Simulation: eth_call runs the exact transaction against the latest state
+ *   without sending it; a revert there means the real transaction would fail too
+ * - Revert reason: The require() message the contract failed with
+ */
+
+// Viem errors carrying the decoded revert reason
+import { BaseError, ContractFunctionRevertedError, InsufficientFundsError } from "viem";
+
+/**
+ * Known Reasons
+ *
+ * Patterns match anywhere in the reason, so router, library and pair
+ * variants of the same message are covered. More specific patterns first.
+ */
+const KNOWN_REASONS = [
+  {
+    match: /INSUFFICIENT_OUTPUT_AMOUNT/,
+    explanation: "The price moved and you would receive less than your minimum.",
+    suggestion: "Refresh the quote or raise the slippage tolerance in Settings.",
+  },
+  {
+    match: /EXCESSIVE_INPUT_AMOUNT/,
+    explanation: "The price moved and the swap would cost more than your maximum.",
+    suggestion: "Refresh the quote or raise the slippage tolerance in Settings.",
+  },
+  {
+    match: /EXPIRED/,
+    explanation: "The transaction deadline has already passed.",
+    suggestion: "Review the swap again to get a new deadline, or lengthen it in Settings.",
+  },
+  {
+    match: /TRANSFER_FROM_FAILED|transferFrom failed/,
+    explanation: "The router could not take your tokens: the balance or the allowance is too low.",
+    suggestion: "Check your balance and approve the token again.",
+  },
+  {
+    match: /ETH_TRANSFER_FAILED/,
+    explanation: "The router could not send ETH to the recipient.",
+    suggestion: "Make sure the recipient can receive ETH.",
+  },
+  {
+    match: /INSUFFICIENT_LIQUIDITY/,
+    explanation: "A pool on the route doesn't hold enough tokens for this trade.",
+    suggestion: "Try a smaller amount.",
+  },
+  {
+    match: /TRANSFER_FAILED/,
+    explanation: "A token on the route refused a transfer.",
+    suggestion: "The token may restrict trading; check the token's rules.",
+  },
+  {
+    // The pair's constant-product check, usually tripped by fee-on-transfer tokens
+    match: /UniswapV2: K/,
+    explanation: "The pool's balances came out wrong after the swap, which usually means a token takes a fee on transfer.",
+    suggestion: "Sell an exact amount (exact input) so the fee-on-transfer methods are used, and raise the slippage tolerance.",
+  },
+];
+
+/**
+ * Explain Revert
+ *
+ * @param {Error} error - Error thrown by simulateContract
+ * @returns {Object} { reason, explanation, suggestion } where reason is the raw
+ *   revert string (or viem's short message when there is none)
+ */
+export function explainRevert(error) {
+  if (error instanceof BaseError) {
+    if (error.walk((cause) => cause instanceof InsufficientFundsError)) {
+      return {
+        reason: error.shortMessage,
+        explanation: "You don't have enough ETH for this transaction and its gas.",
+        suggestion: "Lower the amount or add ETH to your wallet.",
+      };
+    }
+
+    const reverted = error.walk((cause) => cause instanceof ContractFunctionRevertedError);
+    const reason = reverted?.reason ?? error.shortMessage;
+    const known = KNOWN_REASONS.find(({ match }) => match.test(reason));
+    if (known) return { reason, explanation: known.explanation, suggestion: known.suggestion };
+    return { reason, explanation: `The transaction would fail: ${reason}`, suggestion: "" };
+  }
+  const reason = error?.message ?? "Unknown error";
+  return { reason, explanation: `The transaction would fail: ${reason}`, suggestion: "" };
+}
@@ -0,0 +1,110 @@
+/**
+ * Routing Utilities
+ *
+ * Finds the best path for a trade across multiple Uniswap V2 pairs.
+ * Instead of only using the direct pair between the input and output token,
+ * every pair formed by the input, the output and a set of base tokens is loaded,
+ * and the v2-sdk searches those pairs for the route with the best output.
+ *
+ * Both trade directions are supported:
+ * - Exact Input: The user fixes how much they sell, the output is quoted
+ * - Exact Output: The user fixes how much they buy, the required input is quoted
+ *
+ * Key Web3/DeFi Concepts:
+ * - Multi-hop Routing: Trading A -> B -> C when A -> C is illiquid or missing
+ * - Hops: Each pair a trade passes through costs a 0.3% LP fee
+ * - Path: The ordered list of token addresses the router swaps along
+ *
+ * Native ETH is routed through its wrapped form (WETH); the returned trades
+ * keep the native currency on their input/output so the caller can pick
+ * the matching ETH router method.
+ */
+
+// Uniswap V2 SDK for trade search
+import { Trade } from "@uniswap/v2-sdk";
+
+// Shared token constants
+import { BASES_TO_CHECK_TRADES_AGAINST } from "../constants/tokens.js";
+
+// Pair loading helpers
+import { fetchPairs } from "./pairs.js";
+
+/**
+ * Get Pair Combinations
+ *
+ * Lists every distinct token pair a trade between tokenA and tokenB could use:
+ * the direct pair, each token paired with each base, and the bases paired
+ * with each other.
+ *
+ * @param {Token} tokenA - Input token
+ * @param {Token} tokenB - Output token
+ * @param {Token[]} bases - Intermediate tokens to route through
+ * @returns {Array<[Token, Token]>} Unique token pairs
+ */
+export function getPairCombinations(tokenA, tokenB, bases = BASES_TO_CHECK_TRADES_AGAINST) {
+  const basePairs = bases.flatMap((base, i) => bases.slice(i + 1).map((other) => [base, other]));
+
+  const combinations = [
+    [tokenA, tokenB],
+    ...bases.map((base) => [tokenA, base]),
+    ...bases.map((base) => [tokenB, base]),
+    ...basePairs,
+  ];
+
+  // Drop pairs of a token with itself and duplicates in either order
+  const seen = new Set();
+  return combinations.filter(([a, b]) => {
+    if (a.equals(b)) return false;
+    const key = [a.address, b.address].map((addr) => addr.toLowerCase()).sort().join("-");
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Find Best Trade (Exact Input)
+ *
+ * Loads all candidate pairs and asks the v2-sdk for the trades that give the
+ * most output for a fixed input amount.
+ *
+ * @param {Object} client - Viem public client
+ * @param {CurrencyAmount} amountIn - Exact amount of the input token
+ * @param {Currency} outputToken - Token (or native ETH) to receive
+ * @param {Object} options - Search options
+ * @param {number} options.maxHops - Maximum number of pairs in a route
+ * @param {number} options.maxResults - Maximum number of trades to return
+ * @param {Token[]} options.bases - Intermediate tokens to route through
+ * @returns {Promise<Trade[]>} Trades sorted from best to worst (may be empty)
+ */
+export async function findBestTradesExactIn(client, amountIn, outputToken, { maxHops = 3, maxResults = 3, bases } = {}) {
+  const pairs = await fetchPairs(client, getPairCombinations(amountIn.currency.wrapped, outputToken.wrapped, bases));
+  if (pairs.length === 0) return [];
+
+  return Trade.bestTradeExactIn(pairs, amountIn, outputToken, {
+    maxHops,
+    maxNumResults: maxResults,
+  });
+}
+
+/**
+ * Find Best Trade (Exact Output)
+ *
+ * Loads all candidate pairs and asks the v2-sdk for the trades that need the
+ * least input to receive a fixed output amount.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Currency} inputToken - Token (or native ETH) to sell
+ * @param {CurrencyAmount} amountOut - Exact amount of the output token
+ * @param {Object} options - Search options (same as findBestTradesExactIn)
+ * @returns {Promise<Trade[]>} Trades sorted from best to worst (may be empty)
+ */
+export async function findBestTradesExactOut(client, inputToken, amountOut, { maxHops = 3, maxResults = 3, bases } = {}) {
+  const pairs = await fetchPairs(client, getPairCombinations(inputToken.wrapped, amountOut.currency.wrapped, bases));
+  if (pairs.length === 0) return [];
+
+  return Trade.bestTradeExactOut(pairs, inputToken, amountOut, {
+    maxHops,
+    maxNumResults: maxResults,
+  });
+}
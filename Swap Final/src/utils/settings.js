@@ -0,0 +1,293 @@
+/**
+ * Settings Utilities
+ *
+ * Defaults for the trading settings edited in SettingsModal, their
+ * validation and storage, and helpers that turn them into the values sent to
+ * the router.
+ *
+ * Settings are remembered in localStorage per account. Slippage can also be
+ * preset per token pair; a pair's preset replaces the default slippage for
+ * swaps between its two tokens.
+ */
+
+// Uniswap SDK Core for percentages
+import { Percent } from "@uniswap/sdk-core";
+
+// Default approval mode
+import { ApprovalMode, parseApprovalCap } from "./approvalPolicy.js";
+
+// Default fee preset
+import { FeePreset } from "./gas.js";
+
+/**
+ * Default Settings
+ *
+ * - slippage: Maximum acceptable price slippage as a percentage
+ * - deadline: Transaction deadline in minutes
+ * - maxHops: Maximum number of pairs a routed trade may pass through
+ * - maxResults: Number of candidate routes the router keeps while searching
+ * - approvalMode / approvalCap: Default approval policy (exact, unlimited or capped)
+ * - expertMode: Allows swaps above the price impact hard limit, without confirmation
+ * - feePreset: How the EIP-1559 fees are chosen (see FeePreset)
+ * - maxFeePerGas / maxPriorityFeePerGas: Custom fees in gwei, for the custom preset
+ * - gasLimit: Gas limit for every transaction instead of the wallet's estimate
+ * - nonce: Nonce for the next transaction only; cleared once it is used
+ * - pairSlippage: Per-pair slippage presets, { [pair key]: { slippage, label } }
+ */
+export const DEFAULT_SETTINGS = {
+  slippage: 0.5, // 0.5% default slippage tolerance
+  deadline: 20,  // 20 minutes default deadline
+  maxHops: 3,    // Up to 3 pairs per route
+  maxResults: 3, // Keep the 3 best routes
+  approvalMode: ApprovalMode.EXACT,
+  approvalCap: "",
+  expertMode: false,
+  feePreset: FeePreset.AUTO,
+  maxFeePerGas: "",
+  maxPriorityFeePerGas: "",
+  gasLimit: "",
+  nonce: "",
+  pairSlippage: {},
+};
+
+/**
+ * Validation Limits
+ *
+ * Slippage below LOW_SLIPPAGE or above HIGH_SLIPPAGE is allowed with a warning.
+ */
+const MAX_SLIPPAGE = 50;
+const LOW_SLIPPAGE = 0.05;
+const HIGH_SLIPPAGE = 1;
+const MAX_DEADLINE = 4320; // 3 days, in minutes
+const MAX_HOPS = 4;
+const MAX_RESULTS = 10;
+const MIN_GAS_LIMIT = 21000;
+const MAX_GAS_LIMIT = 30000000; // Mainnet block gas limit
+
+/**
+ * localStorage key prefix for the settings of each account
+ */
+const SETTINGS_KEY = "swap:settings";
+
+/**
+ * Settings Not Stored
+ *
+ * The nonce is meant for one transaction. Approval overrides have their own
+ * key (see approvalPolicy.js).
+ */
+const UNSTORED_SETTINGS = ["nonce", "approvalOverrides"];
+
+const settingsKey = (account) => (account ? `${SETTINGS_KEY}:${account.toLowerCase()}` : SETTINGS_KEY);
+
+// Form values may be strings or numbers; empty or non-numeric text is NaN
+const toNumber = (value) => {
+  const text = String(value ?? "").trim();
+  return /^(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+};
+
+const toInteger = (value) => {
+  const text = String(value ?? "").trim();
+  return /^\d+$/.test(text) ? Number(text) : NaN;
+};
+
+const isBlank = (value) => String(value ?? "").trim() === "";
+
+/**
+ * Validate Slippage
+ *
+ * @param {string|number} value - Slippage percentage as entered
+ * @returns {Object} { error } when it can't be used, { warning } when it can
+ *   but is risky, otherwise {}
+ */
+export function validateSlippage(value) {
+  const slippage = toNumber(value);
+  if (Number.isNaN(slippage)) return { error: "Enter a slippage percentage of 0 or more" };
+  if (slippage > MAX_SLIPPAGE) return { error: `Slippage can be at most ${MAX_SLIPPAGE}%` };
+  if (slippage < LOW_SLIPPAGE) return { warning: "Very low slippage: the swap will likely fail if the price moves at all" };
+  if (slippage > HIGH_SLIPPAGE) return { warning: "High slippage: the swap may be frontrun and filled at a worse price" };
+  return {};
+}
+
+/**
+ * Validate Approval Cap
+ *
+ * Without a token only the number is checked, since the default cap applies
+ * to tokens with different decimals.
+ *
+ * @param {string} value - Cap in token units as entered
+ * @param {Token} [token] - Token the cap is for
+ * @returns {string|null} Why it can't be used, or null
+ */
+export function validateApprovalCap(value, token) {
+  if (!token) return toNumber(value) > 0 ? null : "Enter a cap above 0";
+  try {
+    parseApprovalCap(value, token);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Validate Settings
+ *
+ * Checks settings as entered in SettingsModal or as loaded from storage.
+ * Fields that only apply in some modes (the approval cap, custom fees) are
+ * only checked in those modes; optional fields may be left empty.
+ *
+ * @param {Object} values - Settings fields, as numbers or entered text
+ * @returns {Object} { errors, warnings }, each { [field]: message }
+ */
+export function validateSettings(values) {
+  const errors = {};
+  const warnings = {};
+
+  const slippage = validateSlippage(values.slippage);
+  if (slippage.error) errors.slippage = slippage.error;
+  if (slippage.warning) warnings.slippage = slippage.warning;
+
+  const deadline = toInteger(values.deadline);
+  if (Number.isNaN(deadline) || deadline < 1 || deadline > MAX_DEADLINE) {
+    errors.deadline = `Enter whole minutes from 1 to ${MAX_DEADLINE}`;
+  }
+
+  const maxHops = toInteger(values.maxHops);
+  if (Number.isNaN(maxHops) || maxHops < 1 || maxHops > MAX_HOPS) {
+    errors.maxHops = `1 to ${MAX_HOPS}`;
+  }
+  const maxResults = toInteger(values.maxResults);
+  if (Number.isNaN(maxResults) || maxResults < 1 || maxResults > MAX_RESULTS) {
+    errors.maxResults = `1 to ${MAX_RESULTS}`;
+  }
+
+  if (values.approvalMode === ApprovalMode.CUSTOM) {
+    const capError = validateApprovalCap(values.approvalCap);
+    if (capError) errors.approvalCap = capError;
+  }
+
+  if (values.feePreset === FeePreset.CUSTOM) {
+    const maxFee = toNumber(values.maxFeePerGas);
+    const priorityFee = toNumber(values.maxPriorityFeePerGas);
+    if (!(maxFee > 0)) errors.maxFeePerGas = "Enter a max fee above 0";
+    if (Number.isNaN(priorityFee)) errors.maxPriorityFeePerGas = "Enter a priority fee";
+    else if (priorityFee > maxFee) errors.maxPriorityFeePerGas = "Can't exceed the max fee";
+  }
+
+  if (!isBlank(values.gasLimit)) {
+    const gasLimit = toInteger(values.gasLimit);
+    if (Number.isNaN(gasLimit) || gasLimit < MIN_GAS_LIMIT || gasLimit > MAX_GAS_LIMIT) {
+      errors.gasLimit = `${MIN_GAS_LIMIT.toLocaleString()} to ${MAX_GAS_LIMIT.toLocaleString()}`;
+    }
+  }
+
+  if (!isBlank(values.nonce) && Number.isNaN(toInteger(values.nonce))) {
+    errors.nonce = "Enter a whole number";
+  }
+
+  return { errors, warnings };
+}
+
+/**
+ * Load Stored Settings
+ *
+ * Reads an account's stored settings over the defaults. Stored values that
+ * no longer pass validation fall back to their defaults.
+ *
+ * @param {string} [account] - Connected account; settings without one are
+ *   shared by every disconnected session
+ * @returns {Object} The settings, without approvalOverrides
+ */
+export function loadStoredSettings(account) {
+  let stored = {};
+  try {
+    stored = JSON.parse(localStorage.getItem(settingsKey(account))) ?? {};
+  } catch {
+    stored = {};
+  }
+
+  const settings = { ...DEFAULT_SETTINGS };
+  Object.keys(DEFAULT_SETTINGS)
+    .filter((key) => !UNSTORED_SETTINGS.includes(key) && stored[key] !== undefined)
+    .forEach((key) => {
+      settings[key] = stored[key];
+    });
+
+  const { errors } = validateSettings(settings);
+  Object.keys(errors).forEach((key) => {
+    settings[key] = DEFAULT_SETTINGS[key];
+  });
+  settings.pairSlippage = Object.fromEntries(
+    Object.entries(settings.pairSlippage ?? {}).filter(([, preset]) => !validateSlippage(preset?.slippage).error)
+  );
+  return settings;
+}
+
+/**
+ * Save Stored Settings
+ *
+ * @param {string} [account] - Connected account, see loadStoredSettings
+ * @param {Object} settings - Settings to remember
+ */
+export function saveStoredSettings(account, settings) {
+  const stored = Object.fromEntries(
+    Object.keys(DEFAULT_SETTINGS)
+      .filter((key) => !UNSTORED_SETTINGS.includes(key))
+      .map((key) => [key, settings[key]])
+  );
+  localStorage.setItem(settingsKey(account), JSON.stringify(stored));
+}
+
+/**
+ * Pair Key
+ *
+ * Identifies a token pair regardless of order. Native ETH counts as WETH,
+ * since both trade through the same pools.
+ *
+ * @param {Currency} currencyA - One token of the pair
+ * @param {Currency} currencyB - The other token
+ * @returns {string} The lowercased wrapped addresses, sorted and joined
+ */
+export function getPairKey(currencyA, currencyB) {
+  return [currencyA.wrapped.address, currencyB.wrapped.address]
+    .map((address) => address.toLowerCase())
+    .sort()
+    .join(":");
+}
+
+/**
+ * Effective Slippage
+ *
+ * @param {Object} settings - Settings with slippage and pairSlippage
+ * @param {Currency[]} [currencies] - [currencyA, currencyB] being traded
+ * @returns {number} The pair's preset slippage if it has one, otherwise the default
+ */
+export function getEffectiveSlippage(settings, currencies) {
+  const preset = currencies ? settings.pairSlippage?.[getPairKey(...currencies)] : undefined;
+  return preset ? preset.slippage : settings.slippage;
+}
+
+/**
+ * Slippage Tolerance
+ *
+ * Converts the slippage percentage from settings into an sdk Percent
+ * in basis points (e.g., 0.5% -> 50 / 10000).
+ *
+ * @param {Object} settings - Settings with a slippage percentage
+ * @param {Currency[]} [currencies] - [currencyA, currencyB] being traded, to
+ *   use the pair's slippage preset if it has one
+ * @returns {Percent} The slippage tolerance
+ */
+export function getSlippageTolerance(settings, currencies) {
+  const slippageBasisPoints = Math.floor(getEffectiveSlippage(settings, currencies) * 100).toString();
+  return new Percent(slippageBasisPoints, "10000");
+}
+
+/**
+ * Transaction Deadline
+ *
+ * @param {Object} settings - Settings with a deadline in minutes
+ * @returns {number} Unix timestamp (seconds) after which the router rejects the transaction
+ */
+export function getDeadline(settings) {
+  return Math.floor(Date.now() / 1000 + 60 * settings.deadline);
+}
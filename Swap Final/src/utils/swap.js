@@ -0,0 +1,129 @@
+/**
+ * Swap Call Utilities
+ *
+ * Turns a v2-sdk Trade into the exact Router02 call that executes it.
+ * The router has a separate method for every combination of native ETH vs.
+ * ERC-20 on each side and exact input vs. exact output, and each method takes
+ * a slightly different argument list, so the arguments are built per method
+ * instead of being derived from a generic parameter object.
+ *
+ * Router02 methods covered:
+ * - swapExactETHForTokens(amountOutMin, path, to, deadline)           payable
+ * - swapExactTokensForETH(amountIn, amountOutMin, path, to, deadline)
+ * - swapExactTokensForTokens(amountIn, amountOutMin, path, to, deadline)
+ * - swapETHForExactTokens(amountOut, path, to, deadline)              payable
+ * - swapTokensForExactETH(amountOut, amountInMax, path, to, deadline)
+ * - swapTokensForExactTokens(amountOut, amountInMax, path, to, deadline)
+ *
+ * Fee-on-transfer variants (exact input only, same arguments as above):
+ * - swapExactETHForTokensSupportingFeeOnTransferTokens
+ * - swapExactTokensForETHSupportingFeeOnTransferTokens
+ * - swapExactTokensForTokensSupportingFeeOnTransferTokens
+ */
+
+// Uniswap SDK Core for trade direction and percentage math
+import { Percent, TradeType } from "@uniswap/sdk-core";
+
+// Decimal-aware amount conversion
+import { toRawAmount } from "./amounts.js";
+
+/**
+ * Build Swap Call
+ *
+ * Picks the Router02 method for a trade and builds its arguments with
+ * slippage-adjusted limits.
+ *
+ * @param {Trade} trade - The trade to execute
+ * @param {Object} options - Call options
+ * @param {Percent} options.slippageTolerance - Allowed price movement
+ * @param {string} options.recipient - Address that receives the output
+ * @param {number} options.deadline - Unix timestamp after which the swap reverts
+ * @param {Percent} [options.transferTax] - Total fee-on-transfer tax along the path;
+ *   when non-zero the SupportingFeeOnTransferTokens methods are used and the
+ *   minimum output is reduced by the tax
+ * @returns {Object} { functionName, args, value, amountIn, amountOut, path }
+ *   amountIn is the most input the swap can spend (what needs approving),
+ *   amountOut the least output it accepts
+ */
+export function buildSwapCall(trade, { slippageTolerance, recipient, deadline, transferTax }) {
+  const etherIn = trade.inputAmount.currency.isNative;
+  const etherOut = trade.outputAmount.currency.isNative;
+  if (etherIn && etherOut) {
+    throw new Error("Cannot swap ETH for ETH");
+  }
+
+  const feeOnTransfer = Boolean(transferTax?.greaterThan(0));
+  if (feeOnTransfer && trade.tradeType === TradeType.EXACT_OUTPUT) {
+    // The router has no exact output variants for taxed tokens
+    throw new Error("Exact output swaps are not supported for fee-on-transfer tokens");
+  }
+
+  const path = trade.route.path.map((token) => token.address);
+  // For exact input these are the entered input and the minimum output,
+  // for exact output the maximum input and the entered output
+  const amountIn = toRawAmount(trade.maximumAmountIn(slippageTolerance));
+  let minimumAmountOut = trade.minimumAmountOut(slippageTolerance);
+  if (feeOnTransfer) {
+    minimumAmountOut = minimumAmountOut.multiply(new Percent(1, 1).subtract(transferTax));
+  }
+  const amountOut = toRawAmount(minimumAmountOut);
+
+  let functionName, args;
+  let value = 0n;
+
+  if (trade.tradeType === TradeType.EXACT_INPUT) {
+    if (etherIn) {
+      functionName = "swapExactETHForTokens";
+      args = [amountOut, path, recipient, deadline];
+      value = amountIn;
+    } else if (etherOut) {
+      functionName = "swapExactTokensForETH";
+      args = [amountIn, amountOut, path, recipient, deadline];
+    } else {
+      functionName = "swapExactTokensForTokens";
+      args = [amountIn, amountOut, path, recipient, deadline];
+    }
+  } else {
+    if (etherIn) {
+      // Unspent ETH is refunded by the router
+      functionName = "swapETHForExactTokens";
+      args = [amountOut, path, recipient, deadline];
+      value = amountIn;
+    } else if (etherOut) {
+      functionName = "swapTokensForExactETH";
+      args = [amountOut, amountIn, path, recipient, deadline];
+    } else {
+      functionName = "swapTokensForExactTokens";
+      args = [amountOut, amountIn, path, recipient, deadline];
+    }
+  }
+
+  if (feeOnTransfer) {
+    functionName = `${functionName}SupportingFeeOnTransferTokens`;
+  }
+
+  return { functionName, args, value, amountIn, amountOut, path };
+}
+
+/**
+ * Every V2 pair keeps 0.3% of the amount swapped through it
+ */
+const LP_FEE = new Percent(3, 1000);
+
+/**
+ * LP Fee
+ *
+ * The fee paid to liquidity providers along a trade's route. Each hop takes
+ * 0.3% of what reaches it, so the total is 1 - 0.997^hops of the input.
+ *
+ * @param {Trade} trade - The trade to price
+ * @returns {Object} { feePercent: Percent, feeAmount: CurrencyAmount of the input currency }
+ */
+export function getLpFee(trade) {
+  const remaining = trade.route.pairs.reduce(
+    (share) => share.multiply(new Percent(1, 1).subtract(LP_FEE)),
+    new Percent(1, 1)
+  );
+  const feePercent = new Percent(1, 1).subtract(remaining);
+  return { feePercent, feeAmount: trade.inputAmount.multiply(feePercent) };
+}
@@ -0,0 +1,149 @@
+/**
+ * Token List Utilities
+ *
+ * Loading, validation and search for token lists following the Uniswap
+ * Token Lists standard (https://tokenlists.org). A token list is a JSON file
+ * with a name, version, timestamp and an array of tokens, each with a chainId,
+ * address, symbol, name and decimals.
+ *
+ * Lists can come from three places:
+ * - Bundled: shipped with the app in src/constants/tokenlists
+ * - URL: fetched from any HTTPS endpoint that serves list JSON
+ * - File: a local .json file chosen by the user
+ *
+ * Every list is validated against the official JSON schema before any of its
+ * tokens are used, so malformed or malicious lists are rejected up front.
+ */
+
+// JSON schema validator and the string formats (uri, date-time) the schema uses
+import Ajv from "ajv";
+import addFormats from "ajv-formats";
+
+// Official token list schema
+import tokenListSchema from "@uniswap/token-lists/src/tokenlist.schema.json";
+
+// Uniswap SDK Core for token definitions
+import { Token } from "@uniswap/sdk-core";
+
+/**
+ * Compiled schema validator, shared by every list
+ */
+const ajv = new Ajv({ allErrors: true, strict: false });
+addFormats(ajv);
+const validateSchema = ajv.compile(tokenListSchema);
+
+/**
+ * Validate Token List
+ *
+ * @param {Object} json - Parsed list JSON
+ * @returns {Object} The same list, if valid
+ * @throws {Error} Describing the schema violations
+ */
+export function validateTokenList(json) {
+  if (!validateSchema(json)) {
+    throw new Error(`Invalid token list: ${ajv.errorsText(validateSchema.errors, { dataVar: "list" })}`);
+  }
+  return json;
+}
+
+/**
+ * Fetch Token List
+ *
+ * @param {string} url - Address of the list JSON
+ * @returns {Promise<Object>} The validated list
+ */
+export async function fetchTokenList(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to fetch token list (${response.status})`);
+  }
+  return validateTokenList(await response.json());
+}
+
+/**
+ * Read Token List File
+ *
+ * @param {File} file - File picked by the user
+ * @returns {Promise<Object>} The validated list
+ */
+export async function readTokenListFile(file) {
+  let json;
+  try {
+    json = JSON.parse(await file.text());
+  } catch {
+    throw new Error(`${file.name} is not valid JSON`);
+  }
+  return validateTokenList(json);
+}
+
+/**
+ * Tokens From Lists
+ *
+ * Flattens lists into sdk-core Tokens for one chain. When several lists
+ * contain the same address, the first list wins. Fee-on-transfer flags in a
+ * token's extensions (buyFeeBps / sellFeeBps) are collected separately, for
+ * the caller to register with setKnownTransferFees.
+ *
+ * @param {Object[]} lists - Validated token lists
+ * @param {number} chainId - Active chain id
+ * @returns {Object} { tokens, transferFees } where tokens are the unique
+ *   Tokens on that chain and transferFees maps token addresses to
+ *   { buyFeeBps, sellFeeBps }
+ */
+export function tokensFromLists(lists, chainId) {
+  const seen = new Set();
+  const tokens = [];
+  const transferFees = new Map();
+
+  for (const list of lists) {
+    for (const info of list.tokens) {
+      const key = info.address.toLowerCase();
+      if (info.chainId !== chainId || seen.has(key)) continue;
+      seen.add(key);
+
+      const { buyFeeBps, sellFeeBps } = info.extensions ?? {};
+      if (buyFeeBps || sellFeeBps) {
+        transferFees.set(info.address, { buyFeeBps, sellFeeBps });
+      }
+
+      // Lists may use lowercase addresses, so skip the checksum check
+      tokens.push(new Token(info.chainId, info.address, info.decimals, info.symbol, info.name, true));
+    }
+  }
+  return { tokens, transferFees };
+}
+
+/**
+ * Search Tokens
+ *
+ * Matches by address (exact) or by symbol / name (case-insensitive substring).
+ * Exact symbol matches come first, then symbols starting with the query,
+ * then everything else, keeping list order within each group.
+ *
+ * @param {Currency[]} currencies - Tokens (and native ETH) to search
+ * @param {string} query - Text typed by the user
+ * @returns {Currency[]} Matching currencies
+ */
+export function searchTokens(currencies, query) {
+  const text = query.trim().toLowerCase();
+  if (!text) return currencies;
+
+  if (/^0x[0-9a-f]{40}$/.test(text)) {
+    return currencies.filter((currency) => !currency.isNative && currency.address.toLowerCase() === text);
+  }
+
+  const rank = (currency) => {
+    const symbol = currency.symbol?.toLowerCase() ?? "";
+    if (symbol === text) return 0;
+    if (symbol.startsWith(text)) return 1;
+    return 2;
+  };
+
+  return currencies
+    .filter((currency) =>
+      currency.symbol?.toLowerCase().includes(text) || currency.name?.toLowerCase().includes(text)
+    )
+    .map((currency, index) => ({ currency, index, rank: rank(currency) }))
+    .sort((a, b) => a.rank - b.rank || a.index - b.index)
+    .map(({ currency }) => currency);
+}
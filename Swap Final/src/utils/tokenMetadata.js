@@ -0,0 +1,76 @@
+/**
+ * Token Metadata Utilities
+ *
+ * Reads an ERC-20's name, symbol and decimals straight from its contract so
+ * tokens that are not on any list can still be traded.
+ *
+ * Most tokens return name() and symbol() as strings, but some early tokens
+ * (MKR, SAI, ...) return bytes32 instead. Those are decoded by reading the
+ * same functions with a bytes32 ABI and stripping the zero padding.
+ */
+
+// Viem helpers for ABI reads and address/hex handling
+import { erc20Abi, getAddress, hexToString, isAddress } from "viem";
+
+// Uniswap SDK Core for token definitions
+import { Token } from "@uniswap/sdk-core";
+
+/**
+ * bytes32 variants of name() and symbol()
+ */
+const erc20Bytes32Abi = [
+  { type: "function", name: "name", stateMutability: "view", inputs: [], outputs: [{ type: "bytes32" }] },
+  { type: "function", name: "symbol", stateMutability: "view", inputs: [], outputs: [{ type: "bytes32" }] },
+];
+
+/**
+ * Read a string field, falling back to bytes32
+ *
+ * @param {Object} client - Viem public client
+ * @param {string} address - Token address
+ * @param {"name"|"symbol"} functionName - Field to read
+ * @returns {Promise<string>} The decoded value
+ */
+async function readStringField(client, address, functionName) {
+  try {
+    return await client.readContract({ address, abi: erc20Abi, functionName });
+  } catch {
+    const raw = await client.readContract({ address, abi: erc20Bytes32Abi, functionName });
+    return hexToString(raw, { size: 32 }).replace(/\0/g, "");
+  }
+}
+
+/**
+ * Fetch Token
+ *
+ * Builds an sdk-core Token from on-chain metadata.
+ *
+ * @param {Object} client - Viem public client
+ * @param {string} address - Token address, checksummed or all lowercase
+ * @returns {Promise<Token>} The token
+ * @throws {Error} If the address is invalid or not an ERC-20
+ */
+export async function fetchToken(client, address) {
+  if (!isAddress(address)) {
+    throw new Error("Invalid address (check the checksum)");
+  }
+  const checksummed = getAddress(address);
+
+  const code = await client.getCode({ address: checksummed });
+  if (!code || code === "0x") {
+    throw new Error("No contract at this address");
+  }
+
+  let decimals, symbol, name;
+  try {
+    [decimals, symbol, name] = await Promise.all([
+      client.readContract({ address: checksummed, abi: erc20Abi, functionName: "decimals" }),
+      readStringField(client, checksummed, "symbol"),
+      readStringField(client, checksummed, "name"),
+    ]);
+  } catch {
+    throw new Error("This contract does not look like an ERC-20 token");
+  }
+
+  return new Token(client.chain.id, checksummed, Number(decimals), symbol, name);
+}
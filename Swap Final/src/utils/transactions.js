@@ -0,0 +1,240 @@
+/**
+ * Transaction Lifecycle
+ *
+ * Follows a sent transaction until it has a final outcome. Every transaction
+ * moves through these stages:
+ *
+ *   AWAITING_SIGNATURE → SUBMITTED → CONFIRMING → SUCCESS
+ *                                  ↘ REVERTED / DROPPED / REPLACED
+ *
+ * FAILED covers errors that leave no on-chain outcome to report, such as a
+ * rejected signature or a lost connection to the node.
+ *
+ * Key Web3/DeFi Concepts:
+ * - Submitted: The wallet broadcast the transaction and returned its hash
+ * - Confirmations: How many blocks have been built on top of the one that
+ *   included the transaction (the including block counts as the first)
+ * - Reverted: Mined, but the call failed; the gas is still spent
+ * - Dropped: Nodes forgot the transaction without mining it
+ * - Replaced: Another transaction with the same nonce was mined instead, e.g.
+ *   the wallet sped it up ("repriced") or cancelled it
+ * - Nonce: Each account's transactions are numbered. Once the account's mined
+ *   transaction count passes a transaction's nonce, that nonce is used up: if
+ *   the transaction itself is unknown, something else took its place
+ */
+
+// Viem timeout error thrown while no receipt has appeared
+import { BaseError, WaitForTransactionReceiptTimeoutError } from "viem";
+
+// Wallet rejection detection
+import { isUserRejection } from "./permit.js";
+
+/**
+ * Transaction Stages
+ */
+export const TxStatus = {
+  AWAITING_SIGNATURE: "awaiting-signature",
+  SUBMITTED: "submitted",
+  CONFIRMING: "confirming",
+  SUCCESS: "success",
+  REVERTED: "reverted",
+  DROPPED: "dropped",
+  REPLACED: "replaced",
+  FAILED: "failed",
+};
+
+/**
+ * Replacement Actions
+ *
+ * - SPEED_UP: Sends the same call with the same nonce and higher fees
+ * - CANCEL: Sends 0 ETH to yourself with the same nonce, so the original can
+ *   never be mined
+ */
+export const ReplaceAction = {
+  SPEED_UP: "speed-up",
+  CANCEL: "cancel",
+};
+
+/**
+ * Gas used by a plain ETH transfer, which is what a cancellation is
+ */
+export const TRANSFER_GAS = 21000n;
+
+/**
+ * Confirmations before a transaction counts as successful: the including
+ * block and two more built on top of it
+ */
+export const REQUIRED_CONFIRMATIONS = 3;
+
+/**
+ * How long to wait for the next block while confirming (ms). The local fork
+ * only mines when a transaction arrives, so when no block follows in time the
+ * receipt alone counts as final.
+ */
+const CONFIRMATION_TIMEOUT_MS = 30000;
+
+/**
+ * How long to wait for a receipt before checking whether the node still
+ * knows the transaction (ms)
+ */
+const RECEIPT_TIMEOUT_MS = 120000;
+
+/**
+ * Is Pending
+ *
+ * @param {string} status - A TxStatus
+ * @returns {boolean} Whether the transaction has no final outcome yet
+ */
+export function isPending(status) {
+  return [TxStatus.AWAITING_SIGNATURE, TxStatus.SUBMITTED, TxStatus.CONFIRMING].includes(status);
+}
+
+/**
+ * Went Through
+ *
+ * A repriced transaction (same call, higher fees) still does what the
+ * original would have, so its successful receipt counts too.
+ *
+ * @param {Object} result - waitForTransaction result
+ * @returns {boolean} Whether the transaction's call was executed successfully
+ */
+export function wentThrough({ status, receipt, replaceReason }) {
+  if (status === TxStatus.SUCCESS) return true;
+  return status === TxStatus.REPLACED && replaceReason === "repriced" && receipt.status === "success";
+}
+
+/**
+ * Describe Error
+ *
+ * @returns {string} A short message for an error that ended tracking
+ */
+export function describeTxError(error) {
+  if (isUserRejection(error)) return "Rejected in wallet";
+  if (error instanceof BaseError) return error.shortMessage;
+  return error?.message ?? "Transaction failed";
+}
+
+/**
+ * Fetch Nonce
+ *
+ * @param {Object} client - Viem public client
+ * @param {string} hash - Transaction hash
+ * @returns {Promise<number|null>} The transaction's nonce, or null when the
+ *   node doesn't know the transaction
+ */
+export async function fetchNonce(client, hash) {
+  const transaction = await client.getTransaction({ hash }).catch(() => null);
+  return transaction ? transaction.nonce : null;
+}
+
+/**
+ * Find Lost Outcome
+ *
+ * Checks whether a transaction the node no longer knows was dropped or
+ * replaced, by comparing its nonce with the account's mined transaction count.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object} tx - { hash, account, nonce } with nonce null when unknown
+ * @returns {Promise<string|null>} TxStatus.DROPPED or TxStatus.REPLACED, or
+ *   null while the node still knows the transaction (pending or mined)
+ */
+export async function findLostOutcome(client, { hash, account, nonce }) {
+  if ((await fetchNonce(client, hash)) !== null) return null;
+  if (nonce === null || nonce === undefined) return TxStatus.DROPPED;
+  const minedCount = await client.getTransactionCount({ address: account, blockTag: "latest" });
+  return minedCount > nonce ? TxStatus.REPLACED : TxStatus.DROPPED;
+}
+
+/**
+ * Wait For Confirmations
+ *
+ * Counts blocks from the including block on, reporting each new count through
+ * onUpdate, until REQUIRED_CONFIRMATIONS is reached or no block arrives within
+ * CONFIRMATION_TIMEOUT_MS.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object} receipt - The transaction's receipt
+ * @param {Function} onUpdate - Called with { status, confirmations } patches
+ * @returns {Promise<number>} The confirmations counted
+ */
+function waitForConfirmations(client, receipt, onUpdate) {
+  return new Promise((resolve, reject) => {
+    let confirmations = 1;
+    let timer;
+    let unwatch = () => {};
+    const stop = () => {
+      clearTimeout(timer);
+      unwatch();
+    };
+    const finish = () => {
+      stop();
+      resolve(confirmations);
+    };
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(finish, CONFIRMATION_TIMEOUT_MS);
+    };
+
+    onUpdate({ status: TxStatus.CONFIRMING, confirmations });
+    restartTimer();
+    unwatch = client.watchBlockNumber({
+      emitOnBegin: true,
+      onBlockNumber: (blockNumber) => {
+        const count = Math.min(Number(blockNumber - receipt.blockNumber) + 1, REQUIRED_CONFIRMATIONS);
+        if (count <= confirmations) return;
+        confirmations = count;
+        onUpdate({ confirmations });
+        if (confirmations >= REQUIRED_CONFIRMATIONS) finish();
+        else restartTimer();
+      },
+      onError: (error) => {
+        stop();
+        reject(error);
+      },
+    });
+  });
+}
+
+/**
+ * Wait For Transaction
+ *
+ * Waits for a submitted transaction's outcome, reporting each stage through
+ * onUpdate. Timeouts are retried as long as the node still knows the
+ * transaction; once it doesn't, its nonce tells whether it was dropped or replaced.
+ *
+ * @param {Object} client - Viem public client
+ * @param {Object} tx - { hash, account, nonce }, e.g. a history entry
+ * @param {Function} onUpdate - Called with partial transaction records
+ *   ({ status, confirmations, replacedBy, replaceReason })
+ * @returns {Promise<Object>} { status, receipt, replaceReason } with receipt
+ *   undefined when dropped or when the replacement isn't known; otherwise for
+ *   replaced transactions it is the replacement's receipt and replaceReason is
+ *   viem's "repriced", "cancelled" or "replaced"
+ */
+export async function waitForTransaction(client, tx, onUpdate) {
+  const { hash } = tx;
+  let replacement = null;
+  let receipt;
+  while (!receipt) {
+    try {
+      receipt = await client.waitForTransactionReceipt({
+        hash,
+        timeout: RECEIPT_TIMEOUT_MS,
+        onReplaced: (replaced) => {
+          replacement = replaced;
+          onUpdate({ replacedBy: replaced.transaction.hash, replaceReason: replaced.reason });
+        },
+      });
+    } catch (error) {
+      if (!(error instanceof WaitForTransactionReceiptTimeoutError)) throw error;
+      const lost = await findLostOutcome(client, tx);
+      if (lost) return { status: lost };
+    }
+  }
+
+  if (replacement) return { status: TxStatus.REPLACED, receipt, replaceReason: replacement.reason };
+  if (receipt.status !== "success") return { status: TxStatus.REVERTED, receipt };
+
+  await waitForConfirmations(client, receipt, onUpdate);
+  return { status: TxStatus.SUCCESS, receipt };
+}